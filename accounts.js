@@ -1,11 +1,155 @@
-import express from 'express';
 import jwt from 'jsonwebtoken'
-import mysql from 'mysql2/promise'
 import dotenv from 'dotenv'
-import bcrypt, { hash } from 'bcrypt'
+import bcrypt from 'bcrypt'
+import crypto from 'crypto'
+import { withTransaction } from './dbaccess.js'
+import { getLoginAttemptKeys, getLoginLockoutSeconds, recordFailedLogin, clearFailedLogins } from './loginattempts.js'
 
 dotenv.config();
 
+/*
+Every login creates a user session, which is revoked on logout. Access tokens are short lived jsonwebtokens tied to a session,
+and refresh tokens are rotated every time they are used, with only their sha256 hash being stored.
+
+Users are also given a role, and every role other than admin must be granted access to each page separately.
+New accounts are created either by an admin or by registering with a single use invite code created by an admin.
+The first admin of a fresh install is created from the command line with npm run migrate -- create-admin, see migrate.js.
+
+Expected tables, created by migrations/0001_create_users.up.sql and migrations/0002_create_account_tables.up.sql.
+The users table predates the migrations, so 0001 creates it with its original columns only if it is missing, then adds each of these columns that it lacks:
+    ALTER TABLE users ADD COLUMN role ENUM('viewer', 'sorter', 'folder-manager', 'admin') NOT NULL DEFAULT 'viewer';
+    ALTER TABLE users ADD COLUMN is_disabled BOOLEAN NOT NULL DEFAULT FALSE;
+    ALTER TABLE users ADD COLUMN last_login_at DATETIME NULL;
+
+    CREATE TABLE invite_codes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        code_hash CHAR(64) NOT NULL UNIQUE,
+        role ENUM('viewer', 'sorter', 'folder-manager', 'admin') NOT NULL DEFAULT 'viewer',
+        created_by INT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_by INT NULL,
+        used_at DATETIME NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE user_page_grants (
+        user_id INT NOT NULL,
+        page_name VARCHAR(255) NOT NULL,
+        PRIMARY KEY (user_id, page_name)
+    );
+
+    CREATE TABLE user_sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        revoked_at DATETIME NULL
+    );
+
+    CREATE TABLE refresh_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+*/
+
+// Lists the permissions given to each role, where each role includes every permission of the roles before it.
+const rolePermissions = {
+    'viewer': ['view'],
+    'sorter': ['view', 'sort'],
+    'folder-manager': ['view', 'sort', 'manageFolders'],
+    'admin': ['view', 'sort', 'manageFolders', 'admin']
+};
+
+// Maps each recorded action type to the permission needed to perform, undo or redo it.
+const actionPermissions = {
+    'File Transfer': 'sort',
+    'Folder Creation': 'manageFolders',
+    'Folder Rename': 'manageFolders',
+    'Folder Move': 'manageFolders',
+    'Folder Merge': 'manageFolders',
+    'Folder Deletion': 'manageFolders'
+};
+
+// Defines the number of cost factor for hashing the password, as of now around 1000 attempts are made to hash the password
+const saltRounds = 10;
+
+// Hash compared against when a login's username does not exist, so that unknown usernames take as long to reject as wrong passwords.
+const placeholderUserKeyHash = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), saltRounds);
+
+// The only message sent for a failed login, so that the response never reveals which usernames exist.
+const failedLoginMessage = "Invalid User Name or Password!";
+
+// Denotes access tokens to be valid for only 15 minutes, after which a refresh token must be used to receive a new one.
+const accessTokenLifetime = '15m';
+// Denotes refresh tokens to be valid for 30 days.
+const refreshTokenLifetimeDays = 30;
+
+/**
+* @function Signs a new access token for a user session. Every access token shares the same claims regardless of how the session was started.
+* @param {object} sessionInfo - Object containing the userID, userName and sessionID the token is issued for.
+* @returns The signed jsonwebtoken string.
+*/
+function signAccessToken({ userID, userName, sessionID }) {
+    return jwt.sign(
+        { userID, userName, sessionID },
+        process.env.JWT_KEY,
+        {expiresIn: accessTokenLifetime}
+    );
+}
+
+/**
+* @function Hashes a refresh token or invite code so that only the hash is ever stored in the database.
+* @param {string} token - The refresh token or invite code sent to the user.
+* @returns The token's sha256 hash as a hex string.
+*/
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+* @function Generates a new refresh token for a user session and stores its hash.
+* @param {Connection} db - Database connection attached to the request by the loadDB middleware.
+* @param {number} sessionID - The id of the user session the token belongs to.
+* @returns The refresh token string to send to the user.
+*/
+async function issueRefreshToken(db, sessionID) {
+    //* The token is 48 random bytes, so it is not practical to guess and a fast hash is enough to protect it at rest.
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    await db.query(
+        `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+        VALUES (:sessionID, :tokenHash, DATE_ADD(NOW(), INTERVAL :lifetimeDays DAY))`,
+        {
+            sessionID,
+            tokenHash: hashToken(refreshToken),
+            lifetimeDays: refreshTokenLifetimeDays
+        }
+    );
+
+    return refreshToken;
+}
+
+/**
+* @function Starts a new session for a user, returning both an access token and a refresh token.
+* @param {Connection} db - Database connection attached to the request by the loadDB middleware.
+* @param {object} user - Object containing the userID and userName of the user the session is for.
+* @returns An object containing the jwt access token and the refreshToken.
+*/
+async function startUserSession(db, { userID, userName }) {
+    const [session] = await db.query(
+        `INSERT INTO user_sessions (user_id) VALUES (:userID)`,
+        { userID }
+    );
+
+    const sessionID = session.insertId;
+    const refreshToken = await issueRefreshToken(db, sessionID);
+
+    return {jwt: signAccessToken({ userID, userName, sessionID }), refreshToken};
+}
+
 /**
 * @function Validates a user's session, this session is received via the authorization header and should be a valid jsonwebtoken.
 * @param {Request} req - Request object containing information from the http request.
@@ -16,7 +160,6 @@ dotenv.config();
 export async function validateUserSession(req, res, next) {
     const { authorization: jwtToken } = req.headers;
     if (!jwtToken) {
-        console.log('test')
         res.status(403).json("User session invalid!");
         return;
     };
@@ -27,8 +170,26 @@ export async function validateUserSession(req, res, next) {
 
         const decodedUserSession = jwt.verify(jwtToken, process.env.JWT_KEY);
 
+        // Checks that the session the token was issued for has not been revoked by a logout.
+        // The user's role is read alongside it, so that role changes apply without waiting for the token to expire.
+        const [[session]] = await req.db.query(
+            `SELECT user_sessions.revoked_at, users.role, users.is_disabled
+            FROM user_sessions
+            JOIN users ON users.id = user_sessions.user_id
+            WHERE user_sessions.id = :sessionID AND user_sessions.user_id = :userID`,
+            { sessionID: decodedUserSession.sessionID ?? null, userID: decodedUserSession.userID ?? null }
+        );
+        if (!session || session.revoked_at) {
+            res.status(401).json("User session has been revoked!");
+            return;
+        }
+        if (session.is_disabled) {
+            res.status(403).json("User account is disabled!");
+            return;
+        }
+
         // If the jwt is validated, the user's information is stored in the user property for access in the next middleware function.
-        req.user = decodedUserSession;
+        req.user = {...decodedUserSession, role: session.role};
 
     } catch (error) {
         // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
@@ -42,7 +203,217 @@ export async function validateUserSession(req, res, next) {
 }
 
 /**
-* @function Registers a user's account and stores their username and hashed password in the project's database.
+* @function Determines if a role includes a permission.
+* @param {string} role - The user's role.
+* @param {string} permission - The permission being checked, either 'view', 'sort', 'manageFolders' or 'admin'.
+* @returns {boolean} True if the role includes the permission.
+*/
+export function hasPermission(role, permission) {
+    return rolePermissions[role]?.includes(permission) ?? false;
+}
+
+/**
+* @function Retrieves the permission needed to perform, undo or redo a recorded action.
+* @param {string} action - The recorded action type, such as 'File Transfer'.
+* @returns The permission string, defaulting to 'admin' for unknown action types.
+*/
+export function getActionPermission(action) {
+    return actionPermissions[action] ?? 'admin';
+}
+
+/**
+* @function Retrieves the names of every page a user has been granted access to.
+* @param {Connection} db - Database connection attached to the request by the loadDB middleware.
+* @param {number} userID - The user's database id.
+* @returns An array of page names.
+*/
+export async function getUserPageGrants(db, userID) {
+    const [grants] = await db.query(
+        `SELECT page_name FROM user_page_grants WHERE user_id = :userID ORDER BY page_name`,
+        { userID }
+    );
+
+    return grants.map(grant => grant.page_name);
+}
+
+/**
+* @function Creates a middleware that authorizes the user for an action, checking that their role includes the passed in permission, and if the route has a page parameter,
+* that they have been granted access to that page. Should run after validateUserSession.
+* @param {string} permission - The permission the route requires, either 'view', 'sort', 'manageFolders' or 'admin'.
+* @returns {Function} The authorization middleware.
+*/
+export function authorizeUser(permission) {
+    return async function (req, res, next) {
+        try {
+            if (!hasPermission(req.user.role, permission)) {
+                res.status(403).json(`User role ${req.user.role} is not allowed to perform this action!`);
+                return;
+            }
+
+            // Admins have access to every page, all other roles need a grant for the requested page.
+            const { page: pageName } = req.params;
+            if (pageName && req.user.role != 'admin') {
+                const [[grant]] = await req.db.query(
+                    `SELECT 1 AS granted FROM user_page_grants WHERE user_id = :userID AND page_name = :pageName`,
+                    { userID: req.user.userID, pageName }
+                );
+                if (!grant) {
+                    res.status(403).json(`User does not have access to page ${pageName}!`);
+                    return;
+                }
+            }
+        } catch (error) {
+            // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+            console.log(error);
+            res.status(500).json(`Failed to authorize user!\n ${error.message}`);
+            return;
+        }
+
+        // If the user is authorized, then the next middleware or endpoint is called.
+        await next();
+    }
+}
+
+/**
+* @function Assigns a role to a user. Should run after authorizeUser('admin').
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export async function assignUserRole(req, res, next) {
+    try {
+        const { userID } = req.params;
+        const { role } = req.body;
+
+        if (!rolePermissions[role]) {
+            res.status(400).json(`Invalid role! Role must be one of ${Object.keys(rolePermissions).join(', ')}.`);
+            return;
+        }
+
+        const [updateResult] = await req.db.query(
+            `UPDATE users SET role = :role WHERE id = :userID`,
+            { role, userID }
+        );
+        if (!updateResult.affectedRows) {
+            res.status(404).json("User not found!");
+            return;
+        }
+
+        res.status(200).json({success: true, message: `User ${userID} has been assigned the ${role} role.`});
+    } catch (error) {
+        // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+        console.log(error);
+        res.status(500).json(`Failed to assign user role!\n ${error.message}`);
+    }
+}
+
+/**
+* @function Lists the pages a user has been granted access to. Should run after authorizeUser('admin').
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export async function listUserPageGrants(req, res, next) {
+    try {
+        const { userID } = req.params;
+
+        const pages = await getUserPageGrants(req.db, userID);
+
+        res.status(200).json({userID, pages});
+    } catch (error) {
+        // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+        console.log(error);
+        res.status(500).json(`Failed to list user page grants!\n ${error.message}`);
+    }
+}
+
+/**
+* @function Replaces the pages a user has been granted access to with the passed in list of pages. Should run after authorizeUser('admin').
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export async function setUserPageGrants(req, res, next) {
+    try {
+        const { userID } = req.params;
+        const { pages } = req.body;
+
+        if (!Array.isArray(pages) || pages.some(pageName => typeof pageName != 'string' || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(pageName))) {
+            res.status(400).json("Provide a pages array of valid page names!");
+            return;
+        }
+
+        const [[user]] = await req.db.query(`SELECT id FROM users WHERE id = :userID`, { userID });
+        if (!user) {
+            res.status(404).json("User not found!");
+            return;
+        }
+
+        // The grants are replaced within a transaction so the user never briefly loses access to pages they are keeping.
+        await withTransaction(async (transactionDB) => {
+            await transactionDB.query(`DELETE FROM user_page_grants WHERE user_id = :userID`, { userID });
+            for (const pageName of new Set(pages)) {
+                await transactionDB.query(
+                    `INSERT INTO user_page_grants (user_id, page_name) VALUES (:userID, :pageName)`,
+                    { userID, pageName }
+                );
+            }
+        });
+
+        res.status(200).json({success: true, message: `User ${userID} has been granted access to ${pages.length ? [...new Set(pages)].join(', ') : 'no pages'}.`});
+    } catch (error) {
+        // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+        console.log(error);
+        res.status(500).json(`Failed to set user page grants!\n ${error.message}`);
+    }
+}
+
+/**
+* @function Hashes a user's password and inserts a new user into the users table.
+* @param {Connection} db - Database connection attached to the request by the loadDB middleware.
+* @param {object} newUser - Object containing the userName, userKey and role of the new user.
+* @returns The new user's database id.
+*/
+async function insertUser(db, { userName, userKey, role }) {
+    const hashedUserKey = await bcrypt.hash(userKey, saltRounds);
+
+    // Uses a query to insert the new user information into the users table and stores the user's
+    // new info into a user variable.
+    const [user] = await db.query(
+        `INSERT INTO users (user_name, user_key, role) 
+        VALUES (:userName, :hashedUserKey, :role)`,
+        {
+            userName,
+            hashedUserKey,
+            role
+        }
+    );
+
+    return user.insertId;
+}
+
+/**
+* @function Creates an admin account from the command line, which is how a fresh install gets the first admin who can then create invite codes and other users.
+* @param {Connection} db - Database connection with named placeholders enabled.
+* @param {object} newAdmin - Object containing the userName and userKey of the new admin.
+* @returns The new admin's database id, otherwise an error is thrown if the username is already taken.
+*/
+export async function createAdminUser(db, { userName, userKey }) {
+    if ( !userName || !userKey ) throw new Error('Invalid username or userkey entered!');
+
+    try {
+        return await insertUser(db, { userName, userKey, role: 'admin' });
+    } catch (error) {
+        if (error.errno === 1062) throw new Error(`Username ${userName} is already taken!`);
+        throw error;
+    }
+}
+
+/**
+* @function Registers a user's account using an invite code, and stores their username and hashed password in the project's database. The new user is given the role the invite code was created with.
 * @param {Request} req - Request object containing information from the http request.
 * @param {Response} res - Response object that will be populated with data and sent in response to the http request.
 * @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
@@ -50,41 +421,45 @@ export async function validateUserSession(req, res, next) {
 */
 export async function registerUser(req, res, next) {
     try {
-        const { userName, userKey } = req.body;
+        const { userName, userKey, inviteCode } = req.body;
     
         if ( !userName || !userKey ) {
             res.status(401).json("Invalid username or userkey entered!");
             return;
         };
+        if ( !inviteCode ) {
+            res.status(403).json("An invite code is required to register!");
+            return;
+        }
+
+        const [[invite]] = await req.db.query(
+            `SELECT id, role FROM invite_codes WHERE code_hash = :codeHash AND used_at IS NULL AND expires_at > NOW()`,
+            { codeHash: hashToken(inviteCode) }
+        );
+        if (!invite) {
+            res.status(403).json("Invite code is invalid or expired!");
+            return;
+        }
 
-        // Defines the number of cost factor for hashing the password, as of now around 1000 attempts are made to hash the password
-        const saltRound = 10;
+        // The user is inserted and the invite code is used up within a transaction, so two registrations can not share one code.
+        const userID = await withTransaction(async (transactionDB) => {
+            const newUserID = await insertUser(transactionDB, { userName, userKey, role: invite.role });
 
-        const hashedUserKey = await bcrypt.hash(userKey, saltRound);
+            const [inviteResult] = await transactionDB.query(
+                `UPDATE invite_codes SET used_by = :userID, used_at = NOW() WHERE id = :inviteID AND used_at IS NULL`,
+                { userID: newUserID, inviteID: invite.id }
+            );
+            if (inviteResult.affectedRows != 1) throw new Error('Invite code has already been used!');
 
-        // Uses a query to insert the new user information into the users table and stores the user's
-        // new info into a user variable.
-        const [user] = await req.db.query(
-            `INSERT INTO users (user_name, user_key) 
-            VALUES (:userName, :hashedUserKey)`,
-            {
-                userName,
-                hashedUserKey
-            }
-        );
+            return newUserID;
+        });
 
-        // The information in the user variable is then used to generate a json web token which is returned
-        // in the http response to provide the user with a valid user session that will last one day.
-        const validatedSession = jwt.sign(
-            // Assigns the user's name and the user's database id to the token.
-            { userID: user.insertId, userName },
-            process.env.JWT_KEY,
-            // Denotes the token to be valid for only 24 hours.
-            {expiresIn: "24h"}
-        );
+        // The information in the user variable is then used to start a new session, generating an access token and a refresh token which are returned
+        // in the http response to provide the user with a valid user session.
+        const { jwt: accessToken, refreshToken } = await startUserSession(req.db, { userID, userName });
 
         // Sends the valid user session back in the http response along with a validation message.
-        res.status(200).json({jwt: validatedSession, success: true, message: "User successfully register."});
+        res.status(200).json({jwt: accessToken, refreshToken, success: true, message: "User successfully register."});
     } catch (error) {
         // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
         console.log(error);
@@ -97,6 +472,81 @@ export async function registerUser(req, res, next) {
     }
 }
 
+/**
+* @function Creates a new user account with the passed in role. Should run after authorizeUser('admin').
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export async function createUser(req, res, next) {
+    try {
+        const { userName, userKey, role = 'viewer' } = req.body;
+
+        if ( !userName || !userKey ) {
+            res.status(400).json("Invalid username or userkey entered!");
+            return;
+        };
+        if (!rolePermissions[role]) {
+            res.status(400).json(`Invalid role! Role must be one of ${Object.keys(rolePermissions).join(', ')}.`);
+            return;
+        }
+
+        const userID = await insertUser(req.db, { userName, userKey, role });
+
+        res.status(200).json({userID, success: true, message: `User ${userName} successfully created.`});
+    } catch (error) {
+        // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+        console.log(error);
+        if (error.errno === 1062) {
+            res.status(409).json(`Username already taken!`);
+            return;
+        }
+        res.status(500).json(`Failed to create user!\n ${error.message}`);
+    }
+}
+
+/**
+* @function Creates a single use invite code that can be used to register a new account with the passed in role. Should run after authorizeUser('admin').
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export async function createInviteCode(req, res, next) {
+    try {
+        const { role = 'viewer', expiresInDays = 7 } = req.body;
+
+        if (!rolePermissions[role]) {
+            res.status(400).json(`Invalid role! Role must be one of ${Object.keys(rolePermissions).join(', ')}.`);
+            return;
+        }
+        if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 90) {
+            res.status(400).json("Invite codes must expire within 1 to 90 days!");
+            return;
+        }
+
+        // Only the hash of the code is stored, so the code itself is only ever shown in this response.
+        const inviteCode = crypto.randomBytes(18).toString('base64url');
+        await req.db.query(
+            `INSERT INTO invite_codes (code_hash, role, created_by, expires_at)
+            VALUES (:codeHash, :role, :createdBy, DATE_ADD(NOW(), INTERVAL :expiresInDays DAY))`,
+            {
+                codeHash: hashToken(inviteCode),
+                role,
+                createdBy: req.user.userID,
+                expiresInDays
+            }
+        );
+
+        res.status(200).json({inviteCode, role, expiresInDays, success: true, message: "Invite code successfully created."});
+    } catch (error) {
+        // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+        console.log(error);
+        res.status(500).json(`Failed to create invite code!\n ${error.message}`);
+    }
+}
+
 /**
 * @function Login an already existing users by matching their entered password to the hashed one stored in the database.
 * @param {Request} req - Request object containing information from the http request.
@@ -107,15 +557,22 @@ export async function registerUser(req, res, next) {
 export async function loginUser(req, res, next) {
     try {
         const { enteredUserName, enteredUserKey } = req.body;
-        console.log(req.body)
-
-        console.log(enteredUserName, enteredUserKey)
     
         if ( !enteredUserName || !enteredUserKey ) {
             res.status(401).json("Provide a valid username and userkey!");
             return;
         };
 
+        // Failed attempts are tracked under both the username and the ip address, and if either is locked the attempt is rejected before the password is checked.
+        const attemptKeys = getLoginAttemptKeys(enteredUserName, req.ip);
+        const [userNameAttemptKey] = attemptKeys;
+        const lockoutSeconds = await getLoginLockoutSeconds(req.db, attemptKeys);
+        if (lockoutSeconds) {
+            res.set('Retry-After', `${lockoutSeconds}`);
+            res.status(429).json(failedLoginMessage);
+            return;
+        }
+
         // Uses a query to insert the new user information into the users table and stores the user's
         // new info into a user variable.
             //! What is returned is an array containing all matching user names, however,
@@ -125,42 +582,279 @@ export async function loginUser(req, res, next) {
             `SELECT * FROM users WHERE user_name = :enteredUserName`, {enteredUserName}
         );
 
-        // Verifies that a user exists with said username.
-        if (!user) {
-            res.status(403).json("Invalid User Name!");
+        // Compare the stored hashed password, and make sure the stored hashed password is
+        // a string. If no user exists with said username, a placeholder hash is compared instead so the response takes the same time.
+        const hashedUserKey = user ? `${user['user_key']}` : placeholderUserKeyHash;
+        const isPasswordAMatch = await bcrypt.compare(enteredUserKey, hashedUserKey);
+
+        if (!user || !isPasswordAMatch) {
+            const retryAfterSeconds = await recordFailedLogin(req.db, attemptKeys, req.ip);
+            res.set('Retry-After', `${retryAfterSeconds}`);
+            res.status(403).json(failedLoginMessage);
             return;
         }
 
-        // Compare the stored hashed password, and make sure the stored hashed password is
-        // a string. 
-        const hashedUserKey = `${user['user_key']}`;
-        const isPasswordAMatch = await bcrypt.compare(enteredUserKey, hashedUserKey);
+        //* Only the username's failures are cleared, since a valid login should not reset the count for an ip address that may be guessing other accounts.
+        await clearFailedLogins(req.db, userNameAttemptKey);
+
+        // Disabled accounts are only reported after the password is verified, so that the message does not reveal anything to someone guessing passwords.
+        if (user.is_disabled) {
+            res.status(403).json("User account is disabled!");
+            return;
+        }
+
+        await req.db.query(`UPDATE users SET last_login_at = NOW() WHERE id = :userID`, { userID: user.id });
+
+        // The information in the user variable is then used to start a new session, generating an access token and a refresh token which are returned
+        // in the http response to provide the user with a valid user session.
+        const { jwt: accessToken, refreshToken } = await startUserSession(req.db, { userID: user.id, userName: user.user_name });
+
+        // Sends the valid user session back in the http response along with a validation message.
+        res.status(200).json({jwt: accessToken, refreshToken, success: true, message: "User successfully signed in."});
+    } catch (error) {
+        // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+        console.log(error);
+        res.status(403).send(`Failed to validate user session!\n ${error.message}`);
+    }
+}
+
+/**
+* @function Exchanges a refresh token for a new access token and a new refresh token. The used refresh token can not be used again,
+* and if it is, the token is assumed to be stolen and its entire session is revoked.
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export async function refreshUserSession(req, res, next) {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            res.status(401).json("Provide a valid refresh token!");
+            return;
+        };
+
+        const [[storedToken]] = await req.db.query(
+            `SELECT refresh_tokens.id, refresh_tokens.session_id, refresh_tokens.used_at, refresh_tokens.expires_at < NOW() AS is_expired,
+                user_sessions.user_id, user_sessions.revoked_at, users.user_name, users.is_disabled
+            FROM refresh_tokens
+            JOIN user_sessions ON user_sessions.id = refresh_tokens.session_id
+            JOIN users ON users.id = user_sessions.user_id
+            WHERE refresh_tokens.token_hash = :tokenHash`,
+            { tokenHash: hashToken(refreshToken) }
+        );
+
+        if (!storedToken || storedToken.revoked_at || storedToken.is_expired || storedToken.is_disabled) {
+            res.status(401).json("Refresh token is invalid or expired!");
+            return;
+        }
+
+        // Marks the token as used, and only continues if this request was the one that marked it. If the token was already used, the session is revoked.
+        const [markResult] = await req.db.query(
+            `UPDATE refresh_tokens SET used_at = NOW() WHERE id = :tokenID AND used_at IS NULL`,
+            { tokenID: storedToken.id }
+        );
+        if (storedToken.used_at || markResult.affectedRows != 1) {
+            await req.db.query(
+                `UPDATE user_sessions SET revoked_at = NOW() WHERE id = :sessionID AND revoked_at IS NULL`,
+                { sessionID: storedToken.session_id }
+            );
+            res.status(401).json("Refresh token has already been used, the session has been revoked!");
+            return;
+        }
+
+        const newRefreshToken = await issueRefreshToken(req.db, storedToken.session_id);
+        const accessToken = signAccessToken({ userID: storedToken.user_id, userName: storedToken.user_name, sessionID: storedToken.session_id });
+
+        res.status(200).json({jwt: accessToken, refreshToken: newRefreshToken, success: true, message: "User session successfully refreshed."});
+    } catch (error) {
+        // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+        console.log(error);
+        res.status(500).json(`Failed to refresh user session!\n ${error.message}`);
+    }
+}
+
+/**
+* @function Logs out the current user session by revoking it, which invalidates its access token and refresh token. Should run after validateUserSession.
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export async function logoutUser(req, res, next) {
+    try {
+        await req.db.query(
+            `UPDATE user_sessions SET revoked_at = NOW() WHERE id = :sessionID AND revoked_at IS NULL`,
+            { sessionID: req.user.sessionID }
+        );
+
+        res.status(200).json({success: true, message: "User successfully logged out."});
+    } catch (error) {
+        // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+        console.log(error);
+        res.status(500).json(`Failed to log out user!\n ${error.message}`);
+    }
+}
 
+/**
+* @function Logs out every session belonging to the current user, such as when a token may have been stolen. Should run after validateUserSession.
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export async function logoutAllUserSessions(req, res, next) {
+    try {
+        const [revokeResult] = await req.db.query(
+            `UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = :userID AND revoked_at IS NULL`,
+            { userID: req.user.userID }
+        );
+
+        res.status(200).json({success: true, message: `${revokeResult.affectedRows} user sessions successfully logged out.`});
+    } catch (error) {
+        // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+        console.log(error);
+        res.status(500).json(`Failed to log out user sessions!\n ${error.message}`);
+    }
+}
+
+/**
+* @function Changes the current user's password after re-verifying their current password. Every other session belonging to the user is logged out. Should run after validateUserSession.
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export async function changePassword(req, res, next) {
+    try {
+        const { currentUserKey, newUserKey } = req.body;
+
+        if ( !currentUserKey || !newUserKey ) {
+            res.status(400).json("Provide the current and new userkey!");
+            return;
+        };
+
+        const [[user]] = await req.db.query(`SELECT user_key FROM users WHERE id = :userID`, { userID: req.user.userID });
+        const isPasswordAMatch = user && await bcrypt.compare(currentUserKey, `${user['user_key']}`);
         if (!isPasswordAMatch) {
-            res.status(403).json("Invalid User Name or Password!");
+            res.status(403).json("Current password is incorrect!");
             return;
         }
 
-        // Constructs a json object to included in the jsonwebtoken.
-        const newUserSession = {
-            is: user.id,
-            username: user.user_name
+        const hashedUserKey = await bcrypt.hash(newUserKey, saltRounds);
+        await req.db.query(`UPDATE users SET user_key = :hashedUserKey WHERE id = :userID`, { hashedUserKey, userID: req.user.userID });
+        await req.db.query(
+            `UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = :userID AND id != :sessionID AND revoked_at IS NULL`,
+            { userID: req.user.userID, sessionID: req.user.sessionID }
+        );
+
+        res.status(200).json({success: true, message: "Password successfully changed."});
+    } catch (error) {
+        // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+        console.log(error);
+        res.status(500).json(`Failed to change password!\n ${error.message}`);
+    }
+}
+
+/**
+* @function Resets a user's password and logs out all of their sessions. Should run after authorizeUser('admin').
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export async function resetUserPassword(req, res, next) {
+    try {
+        const { userID } = req.params;
+        const { newUserKey } = req.body;
+
+        if ( !newUserKey ) {
+            res.status(400).json("Provide a new userkey!");
+            return;
+        };
+
+        const hashedUserKey = await bcrypt.hash(newUserKey, saltRounds);
+        const [updateResult] = await req.db.query(`UPDATE users SET user_key = :hashedUserKey WHERE id = :userID`, { hashedUserKey, userID });
+        if (!updateResult.affectedRows) {
+            res.status(404).json("User not found!");
+            return;
+        }
+        await req.db.query(`UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = :userID AND revoked_at IS NULL`, { userID });
+
+        res.status(200).json({success: true, message: `Password for user ${userID} successfully reset.`});
+    } catch (error) {
+        // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+        console.log(error);
+        res.status(500).json(`Failed to reset password!\n ${error.message}`);
+    }
+}
+
+/**
+* @function Disables or enables a user's account. Disabling an account also logs out all of its sessions. Should run after authorizeUser('admin').
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export async function setUserDisabled(req, res, next) {
+    try {
+        const { userID } = req.params;
+        const { disabled } = req.body;
+
+        if (typeof disabled != 'boolean') {
+            res.status(400).json("Provide a disabled boolean!");
+            return;
+        }
+        //! Admins can not disable their own account, so there is always a way back into the admin endpoints.
+        if (disabled && `${userID}` == `${req.user.userID}`) {
+            res.status(400).json("You can not disable your own account!");
+            return;
         }
 
-        // The information in the user variable is then used to generate a json web token which is returned
-        // in the http response to provide the user with a valid user session that will last one day.
-        const validatedSession = jwt.sign(
-            newUserSession,
-            process.env.JWT_KEY,
-            // Denotes the token to be valid for only 24 hours.
-            {expiresIn: "24h"}
+        const [updateResult] = await req.db.query(`UPDATE users SET is_disabled = :disabled WHERE id = :userID`, { disabled, userID });
+        if (!updateResult.affectedRows) {
+            res.status(404).json("User not found!");
+            return;
+        }
+        if (disabled) await req.db.query(`UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = :userID AND revoked_at IS NULL`, { userID });
+
+        res.status(200).json({success: true, message: `User ${userID} has been ${disabled ? 'disabled' : 'enabled'}.`});
+    } catch (error) {
+        // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+        console.log(error);
+        res.status(500).json(`Failed to update user!\n ${error.message}`);
+    }
+}
+
+/**
+* @function Lists every user along with their role, whether they are disabled, and when they last logged in. Should run after authorizeUser('admin').
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export async function listUsers(req, res, next) {
+    try {
+        const [users] = await req.db.query(
+            `SELECT id AS userID, user_name AS userName, role, is_disabled AS isDisabled, last_login_at AS lastLoginAt
+            FROM users
+            ORDER BY user_name`
         );
 
-        // Sends the valid user session back in the http response along with a validation message.
-        res.status(200).json({jwt: validatedSession, success: true, message: "User successfully signed in."});
+        res.status(200).json({users: users.map(user => ({...user, isDisabled: !!user.isDisabled}))});
     } catch (error) {
         // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
         console.log(error);
-        res.status(403).send(`Failed to validate user session!\n ${error.message}`);
+        res.status(500).json(`Failed to list users!\n ${error.message}`);
     }
 }
+
+/**
+* @function Retrieves the database id of the user from their decoded session.
+* @param {object} userSession - The decoded jsonwebtoken stored on req.user by validateUserSession.
+* @returns The user's database id.
+*/
+export function getSessionUserId(userSession) {
+    return userSession.userID;
+}
@@ -0,0 +1,97 @@
+/*
+Stores every file system action performed through the api so that undo and redo are handled entirely on the server,
+instead of trusting an undoInfo object sent back by the client.
+
+Expected table, created by migrations/0004_create_actions.up.sql:
+    CREATE TABLE actions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        page_name VARCHAR(255) NOT NULL,
+        action_type VARCHAR(64) NOT NULL,
+        undo_info JSON NOT NULL,
+        redo_info JSON NULL,
+        status ENUM('done', 'undone') NOT NULL DEFAULT 'done',
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    );
+*/
+
+/**
+* @function Records a successfully performed action in the actions table.
+* @param {Connection} db - Database connection attached to the request by the loadDB middleware.
+* @param {object} actionDetails - Object containing the userId, pageName, action type and the undoInfo needed to reverse the action.
+* @returns The id of the newly recorded action.
+*/
+export async function recordAction(db, { userId, pageName, action, undoInfo }) {
+    const [result] = await db.query(
+        `INSERT INTO actions (user_id, page_name, action_type, undo_info)
+        VALUES (:userId, :pageName, :action, :undoInfo)`,
+        {
+            userId,
+            pageName,
+            action,
+            undoInfo: JSON.stringify(undoInfo)
+        }
+    );
+
+    return result.insertId;
+}
+
+/**
+* @function Retrieves a single action belonging to the user on the specified page and locks its row until the transaction ends,
+* so that concurrent requests can not undo or redo the same action at the same time. Must be called within withTransaction.
+* @param {Connection} transactionDB - The transaction's connection.
+* @param {object} actionQuery - Object containing the actionId, userId and pageName used to find the action.
+* @returns The matching action row, or undefined if no action matches.
+*/
+export async function lockUserAction(transactionDB, { actionId, userId, pageName }) {
+    //! A request waiting on the lock reads the row as it was committed by the request holding it, so it sees the updated status.
+    const [[action]] = await transactionDB.query(
+        `SELECT * FROM actions WHERE id = :actionId AND user_id = :userId AND page_name = :pageName FOR UPDATE`,
+        { actionId, userId, pageName }
+    );
+
+    return action;
+}
+
+/**
+* @function Updates the status of an action after it has been undone or redone, along with the information needed to reverse it again.
+* @param {Connection} db - Database connection attached to the request by the loadDB middleware.
+* @param {object} actionUpdate - Object containing the actionId, the new status, and the undoInfo or redoInfo that should replace the stored values.
+* @returns {void}
+*/
+export async function updateActionStatus(db, { actionId, status, undoInfo, redoInfo }) {
+    //? Only the info object that was passed in is replaced, the other keeps its stored value.
+    await db.query(
+        `UPDATE actions
+        SET status = :status,
+            undo_info = COALESCE(:undoInfo, undo_info),
+            redo_info = COALESCE(:redoInfo, redo_info)
+        WHERE id = :actionId`,
+        {
+            actionId,
+            status,
+            undoInfo: undoInfo ? JSON.stringify(undoInfo) : null,
+            redoInfo: redoInfo ? JSON.stringify(redoInfo) : null
+        }
+    );
+}
+
+/**
+* @function Lists the most recent actions a user has performed on a page.
+* @param {Connection} db - Database connection attached to the request by the loadDB middleware.
+* @param {object} listQuery - Object containing the userId, pageName and the max number of actions to return.
+* @returns An array of actions ordered from newest to oldest.
+*/
+export async function listUserActions(db, { userId, pageName, limit }) {
+    const [actions] = await db.query(
+        `SELECT id, page_name AS pageName, action_type AS action, undo_info AS undoInfo, status, created_at AS createdAt, updated_at AS updatedAt
+        FROM actions
+        WHERE user_id = :userId AND page_name = :pageName
+        ORDER BY created_at DESC, id DESC
+        LIMIT :limit`,
+        { userId, pageName, limit }
+    );
+
+    return actions;
+}
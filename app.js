@@ -1,42 +1,187 @@
 import express from 'express';
 import cors from 'cors';
+import multer from 'multer';
+import archiver from 'archiver';
+import * as os from 'os';
+import * as fs from 'fs/promises';
+import { once } from 'events';
 
-import { loadDB } from './dbaccess.js';
-import { registerUser, validateUserSession, loginUser } from './accounts.js';
+import { loadDB, pingDB, withTransaction } from './dbaccess.js';
+import { prepareDatabaseSchema } from './migrations.js';
+import { registerUser, validateUserSession, loginUser, getSessionUserId, refreshUserSession, logoutUser, logoutAllUserSessions,
+    authorizeUser, hasPermission, getActionPermission, getUserPageGrants, assignUserRole, listUserPageGrants, setUserPageGrants,
+    createUser, createInviteCode, changePassword, resetUserPassword, setUserDisabled, listUsers } from './accounts.js';
+import { listLockoutEvents } from './loginattempts.js';
+import { recordAction, lockUserAction, updateActionStatus, listUserActions } from './actions.js';
+import { getSortRules, listSortRules, createSortRule, updateSortRule, deleteSortRule } from './sortrules.js';
+import { normalizeInvoiceTags, getInvoiceNoteError, getInvoiceMetadata, addInvoiceNote, setInvoiceTags, getTaggedContentHashes, moveInvoiceMetadata } from './invoicemetadata.js';
 import { FileSystem, validateDirectoryPathsFile } from './filesystem.js'
+import { acceptQueryAccessToken, streamPageEvents } from './pageevents.js';
 
 const backEnd = express();
 const port = 3000;
 
+const pathsSettingsFile = './DirectoryPaths.json';
+//* Max number of files accepted by a single upload request.
+const maxUploadFiles = 20;
+//* How long each readiness check can take before it is reported as failed, since an unmounted share or unreachable db can hang rather than error.
+const readinessCheckTimeout = 5 * 1000;
+
 const fileAccessClasses = {};
-const pageNames = ['customer-scanned-documents', 'accounts-payables']
+//* Stores the settings each page was loaded with, so that a reload can tell which pages have changed.
+const loadedPageSettings = {};
+
+/**
+* @function Loads every page defined within the paths settings file, constructing a FileSystem for new or changed pages and removing pages that are no longer defined.
+* Pages are only swapped in once every page has been validated, so an invalid settings file leaves the currently loaded pages untouched.
+* @returns An array containing a boolean, true if the pages were loaded and false if not, and a message describing the outcome.
+*/
+async function loadFileAccessClasses() {
+    let [isSettingsFileValid, pagesSettings, settingsErrorMessage] = await validateDirectoryPathsFile(pathsSettingsFile);
+    if (!isSettingsFileValid) return [false, settingsErrorMessage];
+
+    // Checks that all the constructed class' directory folders and invoice directory string attributes are valid paths.
+    // Also, the letter folders within the storage directories are verified, and if a letter folder is missing, one is created.
+    let newFileAccessClasses = {};
+    let mainValidationMessage = '';
+    for (const [pageName, pageSettings] of Object.entries(pagesSettings)) {
+        //? Pages with unchanged settings keep their existing class, so that their invoice leases and directory index are kept.
+        if (fileAccessClasses[pageName] && JSON.stringify(loadedPageSettings[pageName]) == JSON.stringify(pageSettings)) {
+            newFileAccessClasses[pageName] = fileAccessClasses[pageName];
+            continue;
+        }
+
+        let fileAccessClass = new FileSystem(pageName, pageSettings.options, pageSettings.storage);
+        let validationResult = await fileAccessClass.loadDirectoryPaths(pageSettings.invoicesPath, pageSettings.directoriesPath);
+        if (!validationResult.valid) {
+            //! Closes every class constructed during this load, since none of them will be used.
+            fileAccessClass.close();
+            for (const [newPageName, newFileAccessClass] of Object.entries(newFileAccessClasses)) {
+                if (fileAccessClasses[newPageName] !== newFileAccessClass) newFileAccessClass.close();
+            }
+            return [false, validationResult.message];
+        }
+
+        newFileAccessClasses[pageName] = fileAccessClass;
+        mainValidationMessage += `${validationResult.message}\n`;
+    }
 
-function loadFileAccessClasses() {
-    for (const pageName of pageNames) {
-        fileAccessClasses[pageName] = new FileSystem(pageName);
+    //? Swaps in the newly loaded classes, closing any class that was replaced or whose page was removed.
+    let removedPageNames = Object.keys(fileAccessClasses).filter(pageName => !newFileAccessClasses[pageName]);
+    for (const pageName of Object.keys(fileAccessClasses)) {
+        if (fileAccessClasses[pageName] !== newFileAccessClasses[pageName]) fileAccessClasses[pageName].close();
+        delete fileAccessClasses[pageName];
+        delete loadedPageSettings[pageName];
     }
+    Object.assign(fileAccessClasses, newFileAccessClasses);
+    Object.assign(loadedPageSettings, pagesSettings);
+
+    mainValidationMessage += `Loaded Pages: ${Object.keys(fileAccessClasses).join(', ')}.`;
+    if (removedPageNames.length) mainValidationMessage += `\nRemoved Pages: ${removedPageNames.join(', ')}.`;
+    return [true, mainValidationMessage];
 }
 
-async function startBackend() {
+/**
+* @function Receives the files of a multipart upload request into the system's temp folder, limited by the requested page's max upload size.
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+function receiveInvoiceUploads(req, res, next) {
+    let invoiceUpload = multer({
+        dest: os.tmpdir(),
+        //* File names are sent as utf8 by browsers, rather than the latin1 multer assumes by default.
+        defParamCharset: 'utf8',
+        limits: {fileSize: fileAccessClasses[req.params.page].maxUploadSize, files: maxUploadFiles}
+    }).array('invoices', maxUploadFiles);
+
+    invoiceUpload(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            res.status(error.code == 'LIMIT_FILE_SIZE' ? 413 : 400).send(`Upload Failed - ${error.message}`);
+        } else if (error) {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        } else {
+            next();
+        }
+    });
+}
+
+/**
+* @function Broadcasts an action performed through the api to every event stream open on the page, so that other users' clients can update without polling.
+* @param {Request} req - Request object of the action, used to identify the user who performed it.
+* @param {string} pageName - The page the action was performed on.
+* @param {object} actionEvent - Object containing the action's name, its status, and the details clients need to update their view.
+* @returns {void}
+*/
+function publishActionEvent(req, pageName, actionEvent) {
+    fileAccessClasses[pageName]?.emit('pageEvent', {type: 'action', userId: getSessionUserId(req.user), userName: req.user.userName, ...actionEvent});
+}
+
+/**
+* @function Moves the tags and notes of every invoice that was converted to a pdf while being sorted from the image's content to the pdf's, so that they stay attached to the invoice.
+* @param {string} pageName - The page the invoices were sorted on.
+* @param {Array} convertedContentHashesList - An array of the convertedContentHashes returned for each sorted invoice, which are null for invoices that were not converted.
+* Each contains the previous and new content hashes, and optionally a boolean that is true if another copy of the previous content remains, in which case the metadata is copied instead.
+* @returns {void}
+*/
+async function moveConvertedInvoiceMetadata(pageName, convertedContentHashesList) {
+    for (const convertedContentHashes of convertedContentHashesList) {
+        if (convertedContentHashes) await moveInvoiceMetadata(pageName, ...convertedContentHashes);
+    }
+}
+
+/**
+* @function Runs a single readiness check, reporting it as failed if it throws or does not finish within the readiness check timeout.
+* @param {function} readinessCheck - Async function that resolves to an array of strings describing the problems it found.
+* @returns An object containing a boolean, true if no problems were found, and the array of problems.
+*/
+async function runReadinessCheck(readinessCheck) {
+    let timeoutId;
+    let checkTimeout = new Promise(resolve => {
+        timeoutId = setTimeout(() => resolve([`Check did not finish within ${readinessCheckTimeout / 1000} seconds.`]), readinessCheckTimeout);
+    });
     try {
-        // Checks that all the constructed class' directory folders and invoice directory string attributes are valid paths before opening up the server.
-        // Also, the letter folders within the storage directories are verified, and if a letter folder is missing, one is created.
+        let problems = await Promise.race([readinessCheck(), checkTimeout]);
+        return {isReady: !problems.length, problems};
+    } catch (error) {
+        return {isReady: false, problems: [error.code ?? error.message]};
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
 
-        let mainValidationMessage = '';
+/**
+* @function Checks the db and every loaded page at the same time, so the result takes no longer than the slowest check.
+* @returns An object containing a boolean, true if the db and every page are ready, along with the result of the db's check and of each page's check.
+*/
+async function checkReadiness() {
+    let pageNames = Object.keys(fileAccessClasses);
+    let [database, ...pageResults] = await Promise.all([
+        runReadinessCheck(async () => {
+            await pingDB();
+            return [];
+        }),
+        ...pageNames.map(pageName => runReadinessCheck(() => fileAccessClasses[pageName].getReadinessProblems()))
+    ]);
+    let pages = Object.fromEntries(pageNames.map((pageName, index) => [pageName, pageResults[index]]));
 
-        let [ validationResult, directoryPaths ] = await validateDirectoryPathsFile('./DirectoryPaths.json');
-        if (!validationResult) throw new Error('Paths Settings File does not exist!');
-        
-        for (const pageName of pageNames) {
-            let invoicesPath = directoryPaths[`${pageName}-invoices`];
-            let directoriesPath = directoryPaths[`${pageName}-directories`];
-            let validationResult = await fileAccessClasses[pageName].loadDirectoryPaths(invoicesPath, directoriesPath);
-            if (!validationResult.valid) throw new Error(validationResult.message)
-            mainValidationMessage += `${validationResult.message}\n`;
-        }
+    return {isReady: database.isReady && pageResults.every(pageResult => pageResult.isReady), database, pages};
+}
+
+async function startBackend() {
+    try {
+        //! The server refuses to start while the database schema is behind, since every query would otherwise fail against missing tables or columns.
+        let [isSchemaCurrent, schemaMessage] = await prepareDatabaseSchema(process.env.DB_MIGRATE_ON_START == 'true');
+        if (!isSchemaCurrent) throw new Error(schemaMessage);
+
+        // All pages must load successfully before opening up the server.
+        let [arePagesLoaded, mainValidationMessage] = await loadFileAccessClasses();
+        if (!arePagesLoaded) throw new Error(mainValidationMessage);
 
         backEnd.listen(port, () => {
-            console.log(`Server running at http://localhost:${port}\n${mainValidationMessage}`);
+            console.log(`Server running at http://localhost:${port}\n${schemaMessage}\n${mainValidationMessage}`);
         }) 
     } catch (error) {
         console.error(error);   
@@ -50,14 +195,43 @@ backEnd.use(cors({
 // Parses the request's body into valid json.
 backEnd.use(express.json())
 
+/* The health and readiness endpoints are registered before the db middleware so that they can still respond while the db is unreachable */
+backEnd.get('/health', (req, res) => {
+    //* Only reports that the process is up and serving requests, so it should never depend on the db or the pages.
+    res.send({status: 'ok', uptimeSeconds: Math.floor(process.uptime())});
+})
+
+backEnd.get('/ready', async (req, res) => {
+    try {
+        //! Only the overall status is reported, since the endpoint is unauthenticated and the details name the pages, paths and db errors.
+        //! Admins can view the details through /admin/ready.
+        let { isReady } = await checkReadiness();
+        res.status(isReady ? 200 : 503).send({status: isReady ? 'ready' : 'notReady'});
+    } catch (error) {
+        console.error(`Error: ${error}`);
+        res.status(500).send('Server Error');
+    }
+})
+
 // Initializes a connection to the db.
 backEnd.use(loadDB)
 
+// Responds with a 404 to any request for a page that is not defined within the paths settings file.
+backEnd.param('page', (req, res, next, pageName) => {
+    if (!Object.hasOwn(fileAccessClasses, pageName)) {
+        res.status(404).send(`Page ${pageName} does not exist!`);
+        return;
+    }
+    next();
+})
+
 /* All of these endpoints should be ran regardless of there being a valid jwt token within the authorization headers */
 backEnd.post('/register', registerUser)
 
 backEnd.post('/login', loginUser)
 
+backEnd.post('/refresh', refreshUserSession)
+
 backEnd.get('/test', async (req, res) => {
     try {
         res.send({data: 'Successfully connected.'});
@@ -68,8 +242,101 @@ backEnd.get('/test', async (req, res) => {
 })
 
 /* All of these endpoints first run the validation function to ensure that a valid user session is being passed through the authorization headers */
+/* The authorization middleware then checks that the user's role allows the endpoint's action, and that they have been granted access to the requested page */
+
+backEnd.post('/logout', validateUserSession, logoutUser)
+
+backEnd.post('/logout-all', validateUserSession, logoutAllUserSessions)
+
+backEnd.post('/change-password', validateUserSession, changePassword)
+
+backEnd.get('/pages', validateUserSession, async (req, res) => {
+    try {
+        //? Lists every loaded page the user has access to along with the display name defined for it within the paths settings file.
+        let pageNames = Object.keys(fileAccessClasses);
+        if (req.user.role != 'admin') {
+            let grantedPageNames = await getUserPageGrants(req.db, getSessionUserId(req.user));
+            pageNames = pageNames.filter(pageName => grantedPageNames.includes(pageName));
+        }
+        let pages = pageNames.map(pageName => ({name: pageName, displayName: loadedPageSettings[pageName].displayName}));
+
+        res.send({pages});
+    } catch (error) {
+        console.error(`Error: ${error}`);
+        res.status(500).send('Server Error');
+    }
+})
+
+backEnd.post('/admin/reload-pages', validateUserSession, authorizeUser('admin'), async (req, res) => {
+    try {
+        let [arePagesLoaded, reloadMessage] = await loadFileAccessClasses();
+
+        res.status(arePagesLoaded ? 200 : 422).send({result: arePagesLoaded ? 'Succeeded' : 'Failed', message: reloadMessage});
+    } catch (error) {
+        console.error(`Error: ${error}`);
+        res.status(500).send('Server Error');
+    }
+})
+
+//* Requires the db to sign in, so /ready is used to check readiness while the db is unreachable.
+backEnd.get('/admin/ready', validateUserSession, authorizeUser('admin'), async (req, res) => {
+    try {
+        let { isReady, database, pages } = await checkReadiness();
+        res.status(isReady ? 200 : 503).send({status: isReady ? 'ready' : 'notReady', database, pages});
+    } catch (error) {
+        console.error(`Error: ${error}`);
+        res.status(500).send('Server Error');
+    }
+})
+
+backEnd.get('/admin/users', validateUserSession, authorizeUser('admin'), listUsers)
 
-backEnd.get('/:page/get-directories', validateUserSession, async (req, res) => {
+backEnd.post('/admin/users', validateUserSession, authorizeUser('admin'), createUser)
+
+backEnd.get('/admin/lockout-events', validateUserSession, authorizeUser('admin'), listLockoutEvents)
+
+backEnd.get('/admin/consistency-report', validateUserSession, authorizeUser('admin'), async (req, res) => {
+    try {
+        //? Reports on every loaded page, listing anything within its directories folder that does not follow the letter/customer/year layout.
+        let pages = {};
+        for (const [pageName, fileAccessClass] of Object.entries(fileAccessClasses)) {
+            pages[pageName] = await fileAccessClass.getConsistencyReport();
+        }
+
+        res.send({pages});
+    } catch (error) {
+        console.error(`Error: ${error}`);
+        res.status(500).send('Server Error');
+    }
+})
+
+backEnd.post('/admin/invite-codes', validateUserSession, authorizeUser('admin'), createInviteCode)
+
+backEnd.put('/admin/users/:userID/password', validateUserSession, authorizeUser('admin'), resetUserPassword)
+
+backEnd.put('/admin/users/:userID/disabled', validateUserSession, authorizeUser('admin'), setUserDisabled)
+
+backEnd.put('/admin/users/:userID/role', validateUserSession, authorizeUser('admin'), assignUserRole)
+
+backEnd.get('/admin/users/:userID/page-grants', validateUserSession, authorizeUser('admin'), listUserPageGrants)
+
+backEnd.put('/admin/users/:userID/page-grants', validateUserSession, authorizeUser('admin'), setUserPageGrants)
+
+backEnd.get('/:page/events', acceptQueryAccessToken, validateUserSession, authorizeUser('view'), (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!');
+
+        //* The stream stays open for as long as the client is connected, so its database connection is released now rather than being held for the whole stream.
+        req.releaseDB();
+        streamPageEvents(req, res, fileAccessClasses[pageRouteQuery]);
+    } catch (error) {
+        console.error(`Error: ${error}`);
+        res.status(500).send('Server Error');
+    }
+})
+
+backEnd.get('/:page/get-directories', validateUserSession, authorizeUser('view'), async (req, res) => {
     try {
         let { page: pageRouteQuery} = req.params;
         if (!pageRouteQuery) throw new Error('Invalid Page Route Query!')
@@ -83,23 +350,56 @@ backEnd.get('/:page/get-directories', validateUserSession, async (req, res) => {
     }
 })
 
-backEnd.get('/:page/get-invoice', validateUserSession, async (req, res) => {
+backEnd.get('/:page/search-directories', validateUserSession, authorizeUser('view'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!')
+
+        let searchResults = fileAccessClasses[pageRouteQuery].searchDirectories(req.query);
+
+        res.send({results: searchResults});
+    } catch (error) {
+        if (error.cause == 'invalidQuery') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.get('/:page/get-invoice', validateUserSession, authorizeUser('sort'), async (req, res) => {
     try {
         let { page: pageRouteQuery} = req.params;
         if (!pageRouteQuery) throw new Error('Invalid Page Route Query!')
 
-        let [ invoiceRelativePath, invoicePDF ] = await fileAccessClasses[pageRouteQuery].getInvoice();
+        let [ invoiceRelativePath, invoiceMetadata, leaseExpiresAt ] = await fileAccessClasses[pageRouteQuery].getInvoice(getSessionUserId(req.user));
+
+        //? Suggestions for the invoice's directory and year are read from its text, and are null if they could not be generated.
+        let suggestions = await fileAccessClasses[pageRouteQuery].getInvoiceSuggestions(invoiceRelativePath);
+        //? Lists every other file with the same content, so the user is warned before sorting an invoice that was already scanned.
+        let duplicates = await fileAccessClasses[pageRouteQuery].getInvoiceDuplicates(invoiceRelativePath);
+        //? Includes the tags and notes other sorters attached to the invoice.
+        let { tags, notes } = await getInvoiceMetadata(req.db, pageRouteQuery, await fileAccessClasses[pageRouteQuery].getInvoiceContentHash({invoiceName: invoiceRelativePath}));
         
-        //? A response body is used to store the relative file path and the file's encoded string before being sent to the user.
+        //? A response body is used to store the relative file path, the file's metadata and the url the file can be streamed from before being sent to the user.
         let responseBody = {
-        fileName: invoiceRelativePath,
-            file: invoicePDF 
+            fileName: invoiceRelativePath,
+            fileUrl: `/${pageRouteQuery}/invoice-file/${encodeURIComponent(invoiceRelativePath)}`,
+            size: invoiceMetadata.size,
+            modifiedAt: invoiceMetadata.modifiedAt,
+            mimeType: invoiceMetadata.mimeType,
+            leaseExpiresAt,
+            suggestions,
+            duplicates,
+            tags,
+            notes
         }
 
         res.json(responseBody)
     } catch (error) {
         console.log(error.message)
-        if (error.message == "No Valid Files Within Invoice Directory.") {
+        if (error.cause == 'noInvoices') {
             res.status(503).send(`${error}`)
         } else {
             console.error(`Error: ${error}`);
@@ -108,24 +408,447 @@ backEnd.get('/:page/get-invoice', validateUserSession, async (req, res) => {
     }
 })
 
-backEnd.post('/:page/sort-file', validateUserSession, async (req, res) => {
+backEnd.get('/:page/invoices', validateUserSession, authorizeUser('view'), async (req, res) => {
     try {
         let { page: pageRouteQuery} = req.params;
-        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!');
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!')
 
         let requestQueryParameters = req.query;
 
-        let [isSuccessful, transferMessage, undoObj] = await fileAccessClasses[pageRouteQuery].sortFile(requestQueryParameters);
-        let actionId = (Date.now() * Math.random()).toString(16)
-        
-        res.send({result: isSuccessful ? 'Succeeded' : 'Failed', message: transferMessage, undoInfo: undoObj, id: actionId, action: 'File Transfer'});
+        //? Filtering by tag is done by passing the content hashes of the page's invoices with the tag, since tags are stored by each invoice's content.
+        let taggedContentHashes = null;
+        if (typeof requestQueryParameters.tag == 'string' && requestQueryParameters.tag.trim()) {
+            taggedContentHashes = await getTaggedContentHashes(req.db, pageRouteQuery, requestQueryParameters.tag);
+        }
+
+        let invoiceList = await fileAccessClasses[pageRouteQuery].listInvoices(requestQueryParameters, taggedContentHashes);
+
+        res.send(invoiceList);
+    } catch (error) {
+        if (error.cause == 'invalidQuery') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.get('/:page/duplicates', validateUserSession, authorizeUser('view'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!');
+
+        //* The report only covers files hashed so far, which isIndexComplete signals while the page is still being indexed.
+        res.json(fileAccessClasses[pageRouteQuery].getDuplicateReport());
+    } catch (error) {
+        console.error(`Error: ${error}`);
+        res.status(500).send('Server Error');
+    }
+})
+
+backEnd.get('/:page/invoice-file/:invoiceName', validateUserSession, authorizeUser('view'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery, invoiceName } = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!')
+
+        let invoicePath = await fileAccessClasses[pageRouteQuery].getInvoiceFilePath(invoiceName);
+
+        //* sendFile streams the file and handles the Content-Type, Content-Length, ETag and Range headers,
+        //* which lets the pdf viewer request the file in pieces instead of waiting on the entire file.
+        fileAccessClasses[pageRouteQuery].sendFile(req, res, invoicePath, (error) => {
+            if (error && !res.headersSent) {
+                console.error(`Error: ${error}`);
+                res.status(500).send('Server Error');
+            }
+        });
+    } catch (error) {
+        if (error.cause == 'invalidInvoice') {
+            res.status(404).send(error.message);
+        } else if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.get('/:page/directory-years', validateUserSession, authorizeUser('view'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!');
+
+        let years = await fileAccessClasses[pageRouteQuery].listDirectoryYears(req.query);
+
+        res.json({directoryFolderPath: req.query.directoryFolderPath, years});
+    } catch (error) {
+        if (error.cause == 'invalidDirectory') {
+            res.status(404).send(error.message);
+        } else if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.get('/:page/stored-invoices', validateUserSession, authorizeUser('view'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!');
+
+        let invoices = await fileAccessClasses[pageRouteQuery].listStoredInvoices(req.query);
+
+        res.json({directoryFolderPath: req.query.directoryFolderPath, year: req.query.year, invoices});
+    } catch (error) {
+        if (error.cause == 'invalidDirectory') {
+            res.status(404).send(error.message);
+        } else if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.get('/:page/stored-invoice-file', validateUserSession, authorizeUser('view'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!');
+
+        let storedInvoicePath = await fileAccessClasses[pageRouteQuery].getStoredInvoiceFilePath(req.query);
+
+        //? The file is sent as an attachment when download is requested, otherwise it is displayed inline like the invoice-file endpoint.
+        if (req.query.download == 'true') res.attachment(req.query.invoiceName);
+        fileAccessClasses[pageRouteQuery].sendFile(req, res, storedInvoicePath, (error) => {
+            if (error && !res.headersSent) {
+                console.error(`Error: ${error}`);
+                res.status(500).send('Server Error');
+            }
+        });
+    } catch (error) {
+        if (error.cause == 'invalidInvoice') {
+            res.status(404).send(error.message);
+        } else if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.get('/:page/stored-invoices-zip', validateUserSession, authorizeUser('view'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!');
+
+        let { directoryFolderPath, year } = req.query;
+        let storedInvoiceFiles = await fileAccessClasses[pageRouteQuery].getStoredInvoiceFilePaths(req.query);
+
+        //? The zip is streamed as it is built, so the year folder is never held in memory or written to disk.
+        //* Invoices are already compressed, so they are stored rather than compressed again.
+        let zipArchive = archiver('zip', {store: true});
+        zipArchive.on('warning', (warning) => console.error(`Warning: ${warning}`));
+        zipArchive.on('error', (error) => {
+            console.error(`Error: ${error}`);
+            res.destroy(error);
+        });
+        //! Stops reading files if the client disconnects before the download finishes.
+        let downloadAbort = new AbortController();
+        res.on('close', () => {
+            if (res.writableFinished) return;
+            downloadAbort.abort();
+            zipArchive.abort();
+        });
+
+        res.attachment(`${directoryFolderPath.split('/')[1]} ${year}.zip`);
+        zipArchive.pipe(res);
+        //? Each file is only opened once the previous one has been written, so at most one file is being read at a time.
+        for (const { name, filePath } of storedInvoiceFiles) {
+            zipArchive.append(await fileAccessClasses[pageRouteQuery].createFileReadStream(filePath), {name});
+            await once(zipArchive, 'entry', {signal: downloadAbort.signal});
+        }
+        await zipArchive.finalize();
+    } catch (error) {
+        if (res.headersSent) {
+            //* An aborted download only means the client disconnected, which is not an error worth reporting.
+            if (error.name != 'AbortError') console.error(`Error: ${error}`);
+            res.destroy(error);
+        } else if (error.cause == 'invalidDirectory') {
+            res.status(404).send(error.message);
+        } else if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.post('/:page/upload-invoices', validateUserSession, authorizeUser('sort'), receiveInvoiceUploads, async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!');
+
+        if (!req.files?.length) {
+            res.status(400).send('At least one file is required in the invoices field!');
+            return;
+        }
+
+        let uploadedFiles = req.files.map(file => ({originalName: file.originalname, size: file.size, tempPath: file.path}));
+        let [isSuccessful, uploadMessage, uploadResults] = await fileAccessClasses[pageRouteQuery].addInvoices(uploadedFiles);
+
+        let storedInvoiceNames = uploadResults.filter(uploadResult => uploadResult.isSuccessful).map(uploadResult => uploadResult.invoiceName);
+        if (storedInvoiceNames.length) publishActionEvent(req, pageRouteQuery, {action: 'Invoice Upload', status: 'done', invoiceNames: storedInvoiceNames});
+
+        res.send({result: isSuccessful ? 'Succeeded' : 'Failed', message: uploadMessage, items: uploadResults, action: 'Invoice Upload'});
+    } catch (error) {
+        console.error(`Error: ${error}`);
+        res.status(500).send('Server Error');
+    } finally {
+        //? The received files are always removed from the temp folder, since stored invoices were copied out of it.
+        for (const file of req.files ?? []) await fs.rm(file.path, {force: true}).catch(error => console.error(error));
+    }
+})
+
+backEnd.post('/:page/release-invoice', validateUserSession, authorizeUser('sort'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!');
+
+        let { invoiceName } = req.query;
+
+        let [isSuccessful, releaseMessage] = fileAccessClasses[pageRouteQuery].releaseInvoice(invoiceName, getSessionUserId(req.user));
+
+        res.send({result: isSuccessful ? 'Succeeded' : 'Failed', message: releaseMessage});
+    } catch (error) {
+        console.error(`Error: ${error}`);
+        res.status(500).send('Server Error');
+    }
+})
+
+backEnd.post('/:page/renew-invoice', validateUserSession, authorizeUser('sort'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!');
+
+        let { invoiceName } = req.query;
+
+        let [isSuccessful, renewalMessage, leaseExpiresAt] = fileAccessClasses[pageRouteQuery].renewInvoiceLease(invoiceName, getSessionUserId(req.user));
+
+        res.send({result: isSuccessful ? 'Succeeded' : 'Failed', message: renewalMessage, leaseExpiresAt});
     } catch (error) {
         console.error(`Error: ${error}`);
         res.status(500).send('Server Error');
     }
 })
 
-backEnd.post('/:page/create-new-folder', validateUserSession, async (req, res) => {
+backEnd.post('/:page/sort-file', validateUserSession, authorizeUser('sort'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!');
+
+        let requestQueryParameters = req.query;
+
+        let [isSuccessful, transferMessage, undoObj, duplicateLocations, convertedContentHashes] = await fileAccessClasses[pageRouteQuery].sortFile(requestQueryParameters, getSessionUserId(req.user));
+        if (isSuccessful) await moveConvertedInvoiceMetadata(pageRouteQuery, [convertedContentHashes]);
+
+        //? Only successful actions are recorded, since a failed one has nothing to undo.
+        let actionId = null;
+        if (isSuccessful) actionId = await recordAction(req.db, {userId: getSessionUserId(req.user), pageName: pageRouteQuery, action: 'File Transfer', undoInfo: undoObj});
+        if (isSuccessful) publishActionEvent(req, pageRouteQuery, {action: 'File Transfer', status: 'done', id: actionId, details: undoObj});
+        
+        res.send({result: isSuccessful ? 'Succeeded' : 'Failed', message: transferMessage, id: actionId, action: 'File Transfer', duplicates: duplicateLocations ?? []});
+    } catch (error) {
+        if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.post('/:page/sort-files', validateUserSession, authorizeUser('sort'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!');
+
+        //? The batch is passed in the request's body as an array of invoiceName, directoryFolderPath, directoryName and year entries.
+        let { invoices: sortEntries, allOrNothing } = req.body;
+        if (!Array.isArray(sortEntries) || !sortEntries.length) {
+            res.status(400).send('A non-empty invoices array is required!');
+            return;
+        }
+
+        let [isSuccessful, transferMessage, entryResults] = await fileAccessClasses[pageRouteQuery].sortFiles(sortEntries, getSessionUserId(req.user), allOrNothing === true);
+        await moveConvertedInvoiceMetadata(pageRouteQuery, entryResults.map(entryResult => entryResult.convertedContentHashes));
+
+        //? Every invoice that remains transferred is recorded as its own action so that it can be undone individually.
+        let itemResults = [];
+        for (const entryResult of entryResults) {
+            let actionId = null;
+            if (entryResult.isSuccessful) actionId = await recordAction(req.db, {userId: getSessionUserId(req.user), pageName: pageRouteQuery, action: 'File Transfer', undoInfo: entryResult.undoInfo});
+            itemResults.push({invoiceName: entryResult.invoiceName, result: entryResult.isSuccessful ? 'Succeeded' : 'Failed', message: entryResult.message, id: actionId, duplicates: entryResult.duplicates});
+        }
+
+        let transferredItems = itemResults.filter(itemResult => itemResult.id);
+        if (transferredItems.length) publishActionEvent(req, pageRouteQuery, {action: 'Batch File Transfer', status: 'done', ids: transferredItems.map(itemResult => itemResult.id), invoiceNames: transferredItems.map(itemResult => itemResult.invoiceName)});
+
+        res.send({result: isSuccessful ? 'Succeeded' : 'Failed', message: transferMessage, items: itemResults, action: 'Batch File Transfer'});
+    } catch (error) {
+        if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.get('/:page/invoice-metadata', validateUserSession, authorizeUser('view'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!');
+
+        //? The invoice is found by its invoiceName, along with its directoryFolderPath and year if it has already been sorted.
+        //* Metadata is stored by content, so identical copies of the invoice return the same contentHash and share their tags and notes.
+        let contentHash = await fileAccessClasses[pageRouteQuery].getInvoiceContentHash(req.query);
+        let invoiceMetadata = await getInvoiceMetadata(req.db, pageRouteQuery, contentHash);
+
+        res.json({contentHash, ...invoiceMetadata});
+    } catch (error) {
+        if (error.cause == 'invalidInvoice') {
+            res.status(404).send(error.message);
+        } else if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.post('/:page/invoice-notes', validateUserSession, authorizeUser('sort'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!');
+
+        let noteError = getInvoiceNoteError(req.body?.note);
+        if (noteError) {
+            res.status(400).send(noteError);
+            return;
+        }
+
+        let { invoiceName, directoryFolderPath, year } = req.query;
+        let contentHash = await fileAccessClasses[pageRouteQuery].getInvoiceContentHash({invoiceName, directoryFolderPath, year});
+        let noteID = await addInvoiceNote(req.db, {pageName: pageRouteQuery, contentHash, noteText: req.body.note, userId: getSessionUserId(req.user)});
+        publishActionEvent(req, pageRouteQuery, {action: 'Invoice Note', status: 'done', details: {invoiceName, directoryFolderPath, year, noteID}});
+
+        res.send({result: 'Succeeded', message: `Note added to ${invoiceName}.`, noteID, action: 'Invoice Note'});
+    } catch (error) {
+        if (error.cause == 'invalidInvoice') {
+            res.status(404).send(error.message);
+        } else if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.put('/:page/invoice-tags', validateUserSession, authorizeUser('sort'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!');
+
+        //? The passed in tags replace the invoice's current tags, so tags are removed by leaving them out.
+        let [tagsError, tags] = normalizeInvoiceTags(req.body?.tags);
+        if (tagsError) {
+            res.status(400).send(tagsError);
+            return;
+        }
+
+        let { invoiceName, directoryFolderPath, year } = req.query;
+        let contentHash = await fileAccessClasses[pageRouteQuery].getInvoiceContentHash({invoiceName, directoryFolderPath, year});
+        await setInvoiceTags({pageName: pageRouteQuery, contentHash, tags, userId: getSessionUserId(req.user)});
+        publishActionEvent(req, pageRouteQuery, {action: 'Invoice Tags', status: 'done', details: {invoiceName, directoryFolderPath, year, tags}});
+
+        res.send({result: 'Succeeded', message: `Tags of ${invoiceName} updated.`, tags, action: 'Invoice Tags'});
+    } catch (error) {
+        if (error.cause == 'invalidInvoice') {
+            res.status(404).send(error.message);
+        } else if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.get('/:page/sort-rules', validateUserSession, authorizeUser('admin'), listSortRules)
+
+backEnd.post('/:page/sort-rules', validateUserSession, authorizeUser('admin'), createSortRule)
+
+backEnd.put('/:page/sort-rules/:ruleID', validateUserSession, authorizeUser('admin'), updateSortRule)
+
+backEnd.delete('/:page/sort-rules/:ruleID', validateUserSession, authorizeUser('admin'), deleteSortRule)
+
+backEnd.post('/:page/auto-sort', validateUserSession, authorizeUser('sort'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!');
+
+        //! Runs as a dry run unless dryRun is explicitly set to false, so that the planned moves can be reviewed first.
+        let isDryRun = req.body?.dryRun !== false;
+        let sortRules = await getSortRules(req.db, pageRouteQuery, true);
+
+        let [isSuccessful, autoSortMessage, { entryResults, skippedInvoices }] = await fileAccessClasses[pageRouteQuery].autoSortInvoices(sortRules, getSessionUserId(req.user), isDryRun);
+        if (isDryRun) {
+            res.send({result: 'Dry Run', message: autoSortMessage, items: entryResults, skipped: skippedInvoices, action: 'Auto Sort'});
+            return;
+        }
+        await moveConvertedInvoiceMetadata(pageRouteQuery, entryResults.map(entryResult => entryResult.convertedContentHashes));
+
+        //? Every transferred invoice is recorded as its own File Transfer action so that it can be undone individually.
+        let itemResults = [];
+        for (const entryResult of entryResults) {
+            let actionId = null;
+            if (entryResult.isSuccessful) actionId = await recordAction(req.db, {userId: getSessionUserId(req.user), pageName: pageRouteQuery, action: 'File Transfer', undoInfo: entryResult.undoInfo});
+            itemResults.push({
+                invoiceName: entryResult.invoiceName,
+                directoryFolderPath: entryResult.directoryFolderPath,
+                year: entryResult.year,
+                ruleID: entryResult.ruleID,
+                ruleName: entryResult.ruleName,
+                result: entryResult.isSuccessful ? 'Succeeded' : 'Failed',
+                message: entryResult.message,
+                id: actionId,
+                duplicates: entryResult.duplicates
+            });
+        }
+
+        let transferredItems = itemResults.filter(itemResult => itemResult.id);
+        if (transferredItems.length) publishActionEvent(req, pageRouteQuery, {action: 'Auto Sort', status: 'done', ids: transferredItems.map(itemResult => itemResult.id), invoiceNames: transferredItems.map(itemResult => itemResult.invoiceName)});
+
+        res.send({result: isSuccessful ? 'Succeeded' : 'Failed', message: autoSortMessage, items: itemResults, skipped: skippedInvoices, action: 'Auto Sort'});
+    } catch (error) {
+        if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.post('/:page/create-new-folder', validateUserSession, authorizeUser('manageFolders'), async (req, res) => {
     try {
         let { page: pageRouteQuery} = req.params;
         if (!pageRouteQuery) throw new Error('Invalid Page Route Query!')
@@ -134,34 +857,218 @@ backEnd.post('/:page/create-new-folder', validateUserSession, async (req, res) =
 
         let [isSuccessful, transferMessage, undoObj] = await fileAccessClasses[pageRouteQuery].createNewFolder(requestQueryParameters);
 
+        let actionId = null;
+        if (isSuccessful) actionId = await recordAction(req.db, {userId: getSessionUserId(req.user), pageName: pageRouteQuery, action: 'Folder Creation', undoInfo: undoObj});
+        if (isSuccessful) publishActionEvent(req, pageRouteQuery, {action: 'Folder Creation', status: 'done', id: actionId, details: undoObj});
+
+        res.send({result: isSuccessful ? 'Succeeded' : 'Failed', message: transferMessage, id: actionId, action: 'Folder Creation'})
+    } catch (error) {
+        if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.post('/:page/rename-directory', validateUserSession, authorizeUser('manageFolders'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!')
+
+        let requestQueryParameters = req.query;
+
+        let [isSuccessful, transferMessage, undoObj] = await fileAccessClasses[pageRouteQuery].renameDirectory(requestQueryParameters);
 
-        let actionId = (Date.now() * Math.random()).toString(16)
+        let actionId = null;
+        if (isSuccessful) actionId = await recordAction(req.db, {userId: getSessionUserId(req.user), pageName: pageRouteQuery, action: 'Folder Rename', undoInfo: undoObj});
+        if (isSuccessful) publishActionEvent(req, pageRouteQuery, {action: 'Folder Rename', status: 'done', id: actionId, details: undoObj});
 
-        res.send({result: isSuccessful ? 'Succeeded' : 'Failed', message: transferMessage, undoInfo: undoObj, id: actionId, action: 'Folder Creation'})
+        res.send({result: isSuccessful ? 'Succeeded' : 'Failed', message: transferMessage, id: actionId, action: 'Folder Rename'})
     } catch (error) {
-        console.error(`Error: ${error}`);
-        res.status(500).send('Server Error');
+        if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
     }
 })
 
-backEnd.post('/:page/undo-action', validateUserSession, async (req, res) => {
+backEnd.post('/:page/move-directory', validateUserSession, authorizeUser('manageFolders'), async (req, res) => {
     try {
         let { page: pageRouteQuery} = req.params;
         if (!pageRouteQuery) throw new Error('Invalid Page Route Query!')
-            
+
         let requestQueryParameters = req.query;
-        
-        let [isSuccessful, transferMessage, undoneActionId] = await fileAccessClasses[pageRouteQuery].undoPreviousAction(requestQueryParameters)
 
+        let [isSuccessful, transferMessage, undoObj] = await fileAccessClasses[pageRouteQuery].moveDirectory(requestQueryParameters);
+
+        let actionId = null;
+        if (isSuccessful) actionId = await recordAction(req.db, {userId: getSessionUserId(req.user), pageName: pageRouteQuery, action: 'Folder Move', undoInfo: undoObj});
+        if (isSuccessful) publishActionEvent(req, pageRouteQuery, {action: 'Folder Move', status: 'done', id: actionId, details: undoObj});
+
+        res.send({result: isSuccessful ? 'Succeeded' : 'Failed', message: transferMessage, id: actionId, action: 'Folder Move'})
+    } catch (error) {
+        if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.post('/:page/merge-directories', validateUserSession, authorizeUser('manageFolders'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!')
+
+        let requestQueryParameters = req.query;
+
+        let [isSuccessful, transferMessage, undoObj] = await fileAccessClasses[pageRouteQuery].mergeDirectories(requestQueryParameters);
+
+        let actionId = null;
+        if (isSuccessful) actionId = await recordAction(req.db, {userId: getSessionUserId(req.user), pageName: pageRouteQuery, action: 'Folder Merge', undoInfo: undoObj});
+        if (isSuccessful) publishActionEvent(req, pageRouteQuery, {action: 'Folder Merge', status: 'done', id: actionId, details: undoObj});
+
+        res.send({result: isSuccessful ? 'Succeeded' : 'Failed', message: transferMessage, id: actionId, action: 'Folder Merge'})
+    } catch (error) {
+        if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.post('/:page/delete-directory', validateUserSession, authorizeUser('manageFolders'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!')
+
+        let requestQueryParameters = req.query;
+
+        let [isSuccessful, transferMessage, undoObj] = await fileAccessClasses[pageRouteQuery].deleteDirectory(requestQueryParameters);
+
+        let actionId = null;
+        if (isSuccessful) actionId = await recordAction(req.db, {userId: getSessionUserId(req.user), pageName: pageRouteQuery, action: 'Folder Deletion', undoInfo: undoObj});
+        if (isSuccessful) publishActionEvent(req, pageRouteQuery, {action: 'Folder Deletion', status: 'done', id: actionId, details: undoObj});
+
+        res.send({result: isSuccessful ? 'Succeeded' : 'Failed', message: transferMessage, id: actionId, action: 'Folder Deletion'})
+    } catch (error) {
+        if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.post('/:page/undo-action', validateUserSession, authorizeUser('sort'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!')
+            
+        let { actionId } = req.query;
         
-        let actionId = (Date.now() * Math.random()).toString(16)
+        //? The action is looked up from the actions table, so only actions performed by the current user on this page can be undone.
+        //! Its row stays locked until its status is updated, so that two requests can not both undo the same action, and a failed undo leaves the status as it was.
+        let undoResult = await withTransaction(async (transactionDB) => {
+            let storedAction = await lockUserAction(transactionDB, {actionId, userId: getSessionUserId(req.user), pageName: pageRouteQuery});
+            if (!storedAction) return {errorStatus: 404, errorMessage: `Action ${actionId} was not found.`};
+            if (storedAction.status != 'done') return {errorStatus: 409, errorMessage: `Action ${actionId} has already been undone.`};
+            //! The user's role must still allow the type of action, since their role may have changed after it was performed.
+            if (!hasPermission(req.user.role, getActionPermission(storedAction.action_type))) {
+                return {errorStatus: 403, errorMessage: `User role ${req.user.role} is not allowed to perform a ${storedAction.action_type}.`};
+            }
+
+            let [isSuccessful, transferMessage, redoObj, restoredContentHashes] = await fileAccessClasses[pageRouteQuery].undoPreviousAction(storedAction.action_type, storedAction.undo_info);
+            if (isSuccessful) await updateActionStatus(transactionDB, {actionId: storedAction.id, status: 'undone', redoInfo: redoObj});
+            return {storedAction, isSuccessful, transferMessage, restoredContentHashes};
+        });
+        if (undoResult.errorStatus) {
+            res.status(undoResult.errorStatus).send(undoResult.errorMessage);
+            return;
+        }
+
+        let { storedAction, isSuccessful, transferMessage, restoredContentHashes } = undoResult;
+        //* Undoing the transfer of a converted image returns the original image, so its tags and notes are moved back from the pdf.
+        if (isSuccessful) await moveConvertedInvoiceMetadata(pageRouteQuery, [restoredContentHashes]);
+        if (isSuccessful) publishActionEvent(req, pageRouteQuery, {action: storedAction.action_type, status: 'undone', id: storedAction.id, details: storedAction.undo_info});
+
+        res.send({result: isSuccessful ? 'Succeeded' : 'Failed', message: transferMessage, undoneActionId: storedAction.id, action: 'Undo Action'})
+    } catch (error) {
+        if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.post('/:page/redo-action', validateUserSession, authorizeUser('sort'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!')
+
+        let { actionId } = req.query;
+
+        //! The action's row stays locked until its status is updated, the same as when undoing it.
+        let redoResult = await withTransaction(async (transactionDB) => {
+            let storedAction = await lockUserAction(transactionDB, {actionId, userId: getSessionUserId(req.user), pageName: pageRouteQuery});
+            if (!storedAction) return {errorStatus: 404, errorMessage: `Action ${actionId} was not found.`};
+            if (storedAction.status != 'undone') return {errorStatus: 409, errorMessage: `Action ${actionId} has not been undone.`};
+            //! The user's role must still allow the type of action, since their role may have changed after it was performed.
+            if (!hasPermission(req.user.role, getActionPermission(storedAction.action_type))) {
+                return {errorStatus: 403, errorMessage: `User role ${req.user.role} is not allowed to perform a ${storedAction.action_type}.`};
+            }
+
+            let [isSuccessful, transferMessage, undoObj, , convertedContentHashes] = await fileAccessClasses[pageRouteQuery].redoAction(storedAction.action_type, storedAction.redo_info, getSessionUserId(req.user));
+            //* Redoing a file transfer can rename the invoice again, so the stored undo info is replaced with the new one.
+            if (isSuccessful) await updateActionStatus(transactionDB, {actionId: storedAction.id, status: 'done', undoInfo: undoObj});
+            return {storedAction, isSuccessful, transferMessage, undoObj, convertedContentHashes};
+        });
+        if (redoResult.errorStatus) {
+            res.status(redoResult.errorStatus).send(redoResult.errorMessage);
+            return;
+        }
+
+        let { storedAction, isSuccessful, transferMessage, undoObj, convertedContentHashes } = redoResult;
+        //* Redoing the transfer of a returned image converts it again, so its tags and notes move to the new pdf.
+        if (isSuccessful && storedAction.action_type == 'File Transfer') await moveConvertedInvoiceMetadata(pageRouteQuery, [convertedContentHashes]);
+        if (isSuccessful) publishActionEvent(req, pageRouteQuery, {action: storedAction.action_type, status: 'redone', id: storedAction.id, details: undoObj});
+
+        res.send({result: isSuccessful ? 'Succeeded' : 'Failed', message: transferMessage, redoneActionId: storedAction.id, action: 'Redo Action'})
+    } catch (error) {
+        if (error.cause == 'invalidPath') {
+            res.status(400).send(error.message);
+        } else {
+            console.error(`Error: ${error}`);
+            res.status(500).send('Server Error');
+        }
+    }
+})
+
+backEnd.get('/:page/actions', validateUserSession, authorizeUser('view'), async (req, res) => {
+    try {
+        let { page: pageRouteQuery} = req.params;
+        if (!pageRouteQuery) throw new Error('Invalid Page Route Query!')
+
+        //? Limits the number of returned actions to between 1 and 100, defaulting to 25.
+        let limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+
+        let actions = await listUserActions(req.db, {userId: getSessionUserId(req.user), pageName: pageRouteQuery, limit});
 
-        res.send({result: isSuccessful ? 'Succeeded' : 'Failed', message: transferMessage, undoneActionId, id: actionId, action: 'Undo Action'})
+        res.send({actions});
     } catch (error) {
         console.error(`Error: ${error}`);
         res.status(500).send('Server Error');
     }
 })
 
-loadFileAccessClasses(pageNames);
 startBackend();
@@ -0,0 +1,280 @@
+import { createHash } from 'crypto';
+import * as path from 'path';
+
+//* Default of how often every file is checked for changes made outside of the api, currently every five minutes.
+const defaultRefreshMinutes = 5;
+
+/**
+* @function Calculates the sha256 hash of a file's content from a stream of it, so that large files are never held in memory.
+* @param {Readable} readStream - Stream of the file's content.
+* @returns The hex encoded hash of the file.
+*/
+export function hashStream(readStream) {
+    return new Promise((resolve, reject) => {
+        let hash = createHash('sha256');
+        readStream
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+export class ContentHashIndex {
+    constructor(storage, rootPaths, { savedIndexPath = null, refreshMinutes = defaultRefreshMinutes } = {}) {
+        //* The page's storage driver, used to list and read the files.
+        this._storage = storage;
+        //* Every path is stored resolved, since callers build paths both by joining and by resolving.
+        this._rootPaths = rootPaths.map(rootPath => path.resolve(rootPath));
+        //* Maps each file's path to its hash, along with the size and modified time it had when it was hashed.
+        this._files = new Map();
+        //* Maps each hash to the set of file paths with that content.
+        this._hashes = new Map();
+        this._refreshPromise = null;
+        this._refreshIntervalId = null;
+        this._refreshInterval = refreshMinutes * 60 * 1000;
+        this._isComplete = false;
+        //* Set once the index is closed, so that a refresh still running at the time neither changes nor saves the index.
+        this._isClosed = false;
+        //* Path the index is saved to after each refresh that changed it, so that a restart only rehashes the files that changed while it was stopped.
+        this._savedIndexPath = savedIndexPath;
+        this._isSavedIndexLoaded = false;
+        this._hasUnsavedChanges = false;
+    }
+
+    /**
+    * @method Hashes every file under the root paths in the background, then keeps the index up to date with periodic refreshes.
+    * @returns {void}
+    */
+    build() {
+        this.close();
+        this._isClosed = false;
+
+        this.refresh().then(() => { this._isComplete = true; });
+
+        this._refreshIntervalId = setInterval(() => this.refresh(), this._refreshInterval);
+        //* The interval should not keep the process alive on its own.
+        this._refreshIntervalId.unref();
+    }
+
+    /**
+    * @method Stops the periodic refreshes, along with any refresh that is still running.
+    * @returns {void}
+    */
+    close() {
+        this._isClosed = true;
+        clearInterval(this._refreshIntervalId);
+        this._refreshIntervalId = null;
+    }
+
+    /**
+    * @method Determines if every file has been hashed at least once since the index was built.
+    * @returns a boolean - True once the first refresh has finished.
+    */
+    get isComplete() {
+        return this._isComplete;
+    }
+
+    async _listFiles(folderPath) {
+        let filePaths = [];
+        for (const entry of await this._storage.readdir(folderPath)) {
+            //* Hidden files are skipped, which includes uploads that are still being written.
+            if (entry.name.startsWith('.')) continue;
+            let entryPath = path.join(folderPath, entry.name);
+            if (entry.isDirectory()) filePaths.push(...(await this._listFiles(entryPath)));
+            else if (entry.isFile()) filePaths.push(entryPath);
+        }
+        return filePaths;
+    }
+
+    /**
+    * @method Walks every root path, hashing new or changed files and forgetting files that no longer exist. Only one refresh runs at a time.
+    * @returns a promise that resolves once the refresh has finished.
+    */
+    refresh() {
+        if (!this._refreshPromise) {
+            this._refreshPromise = this._refresh()
+                .catch(error => console.error(error))
+                .finally(() => { this._refreshPromise = null; });
+        }
+        return this._refreshPromise;
+    }
+
+    /**
+    * @method Loads the hashes saved by a previous run, keeping only the files that are still under the root paths.
+    * Each file is still checked against its saved size and modified time by the refresh, so only files that changed while the api was stopped are hashed again.
+    * @returns {void}
+    */
+    async _loadSavedIndex() {
+        this._isSavedIndexLoaded = true;
+        if (!this._savedIndexPath) return;
+
+        let savedFiles;
+        try {
+            savedFiles = JSON.parse(await this._storage.readFile(this._savedIndexPath)).files;
+        } catch (error) {
+            //* A missing index is expected on the first run, and an index interrupted while being written is rebuilt.
+            if (error.code != 'ENOENT' && !(error instanceof SyntaxError)) console.error(error);
+            return;
+        }
+
+        for (const [filePath, { hash, size, mtimeMs }] of Object.entries(savedFiles ?? {})) {
+            if (this._files.has(filePath) || !this._rootPaths.some(rootPath => filePath.startsWith(path.join(rootPath, path.sep)))) continue;
+            this._files.set(filePath, {hash, size, mtimeMs});
+            if (!this._hashes.has(hash)) this._hashes.set(hash, new Set());
+            this._hashes.get(hash).add(filePath);
+        }
+    }
+
+    async _saveIndex() {
+        if (!this._savedIndexPath || !this._hasUnsavedChanges || this._isClosed) return;
+        this._hasUnsavedChanges = false;
+        try {
+            await this._storage.writeFile(this._savedIndexPath, JSON.stringify({files: Object.fromEntries(this._files)}));
+        } catch (error) {
+            console.error(error);
+            this._hasUnsavedChanges = true;
+        }
+    }
+
+    async _refresh() {
+        if (!this._isSavedIndexLoaded) await this._loadSavedIndex();
+
+        let foundPaths = new Set();
+        for (const rootPath of this._rootPaths) {
+            for (const filePath of await this._listFiles(rootPath)) {
+                if (this._isClosed) return;
+                foundPaths.add(filePath);
+                await this.updateFile(filePath);
+            }
+        }
+
+        if (this._isClosed) return;
+        for (const filePath of [...this._files.keys()]) {
+            if (!foundPaths.has(filePath)) this.removeFile(filePath);
+        }
+
+        await this._saveIndex();
+    }
+
+    /**
+    * @method Hashes a single file if it is new or has changed since it was last hashed, or removes it from the index if it no longer exists.
+    * @param {string} filePath - Path to the file.
+    * @returns the file's hash, or null if the file could not be read.
+    */
+    async updateFile(filePath) {
+        filePath = path.resolve(filePath);
+        try {
+            let fileStat = await this._storage.stat(filePath);
+            let indexedFile = this._files.get(filePath);
+            if (indexedFile && indexedFile.size == fileStat.size && indexedFile.mtimeMs == fileStat.mtimeMs) return indexedFile.hash;
+
+            let hash = await hashStream(await this._storage.createReadStream(filePath));
+            this.removeFile(filePath);
+            this._files.set(filePath, {hash, size: fileStat.size, mtimeMs: fileStat.mtimeMs});
+            if (!this._hashes.has(hash)) this._hashes.set(hash, new Set());
+            this._hashes.get(hash).add(filePath);
+            this._hasUnsavedChanges = true;
+            return hash;
+        } catch (error) {
+            //* Files can be removed between being listed and being read, which is not an error worth reporting.
+            if (error.code != 'ENOENT') console.error(error);
+            this.removeFile(filePath);
+            return null;
+        }
+    }
+
+    /**
+    * @method Removes a file from the index.
+    * @param {string} filePath - Path to the file.
+    * @returns {void}
+    */
+    removeFile(filePath) {
+        filePath = path.resolve(filePath);
+        let indexedFile = this._files.get(filePath);
+        if (!indexedFile) return;
+
+        this._files.delete(filePath);
+        this._hasUnsavedChanges = true;
+        let hashPaths = this._hashes.get(indexedFile.hash);
+        hashPaths.delete(filePath);
+        if (!hashPaths.size) this._hashes.delete(indexedFile.hash);
+    }
+
+    /**
+    * @method Updates the index after a file was moved by the api, rehashing the file at its new path since copying changes its modified time.
+    * @param {string} sourcePath - The file's previous path.
+    * @param {string} destinationPath - The file's new path.
+    * @returns {void}
+    */
+    async moveFile(sourcePath, destinationPath) {
+        this.removeFile(sourcePath);
+        await this.updateFile(destinationPath);
+    }
+
+    /**
+    * @method Updates the path of every file within a folder after the folder was renamed or moved by the api, which keeps each file's content and modified time.
+    * @param {string} sourceFolderPath - The folder's previous path.
+    * @param {string} destinationFolderPath - The folder's new path.
+    * @returns {void}
+    */
+    moveFolder(sourceFolderPath, destinationFolderPath) {
+        let sourcePrefix = path.join(path.resolve(sourceFolderPath), path.sep);
+        for (const [filePath, indexedFile] of [...this._files]) {
+            if (!filePath.startsWith(sourcePrefix)) continue;
+
+            this.removeFile(filePath);
+            let newFilePath = path.join(path.resolve(destinationFolderPath), filePath.substring(sourcePrefix.length));
+            this._files.set(newFilePath, indexedFile);
+            if (!this._hashes.has(indexedFile.hash)) this._hashes.set(indexedFile.hash, new Set());
+            this._hashes.get(indexedFile.hash).add(newFilePath);
+        }
+    }
+
+    /**
+    * @method Finds every other indexed file with the same content as the passed in file.
+    * @param {string} filePath - Path to the file, which is hashed first if it has changed.
+    * @returns an array of the paths of the matching files.
+    */
+    async getMatchingFiles(filePath) {
+        filePath = path.resolve(filePath);
+        let hash = await this.updateFile(filePath);
+        if (!hash) return [];
+        return [...this._hashes.get(hash)].filter(matchingPath => matchingPath != filePath);
+    }
+
+    /**
+    * @method Looks up a file's hash without reading the file, if it was indexed with the passed in size and modified time.
+    * @param {string} filePath - Path to the file.
+    * @param {object} fileDetails - Object containing the file's size and modifiedAt time in milliseconds, such as the details listed by the inbox watcher.
+    * @returns the file's hash, or null if the file is not indexed or has changed since it was hashed.
+    */
+    getIndexedHash(filePath, { size, modifiedAt }) {
+        let indexedFile = this._files.get(path.resolve(filePath));
+        //* Stats report the modified time with fractions of a millisecond, which are rounded away in the time listed by the inbox watcher.
+        if (!indexedFile || indexedFile.size != size || Math.abs(indexedFile.mtimeMs - modifiedAt) >= 1) return null;
+        return indexedFile.hash;
+    }
+
+    /**
+    * @method Determines if any indexed file has the passed in content.
+    * @param {string} hash - The hex encoded sha256 hash of the content.
+    * @returns a boolean - True if at least one indexed file has the content.
+    */
+    hasContent(hash) {
+        return this._hashes.has(hash);
+    }
+
+    /**
+    * @method Lists every group of indexed files that share the same content.
+    * @returns an array of objects containing the shared hash, the size of each file, and the paths of the files in the group.
+    */
+    getDuplicateGroups() {
+        let duplicateGroups = [];
+        for (const [hash, filePaths] of this._hashes) {
+            if (filePaths.size < 2) continue;
+            let sortedPaths = [...filePaths].sort();
+            duplicateGroups.push({hash, size: this._files.get(sortedPaths[0]).size, filePaths: sortedPaths});
+        }
+        return duplicateGroups;
+    }
+}
@@ -3,17 +3,35 @@ import dotenv from 'dotenv'
 
 dotenv.config();
 
+//* Shared by the pool and the connections opened to run migrations.
+const dbConnectionSettings = {
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_DATABASE
+};
+
 // Creates a pool to access the db
     //* Doing this reduces the time spent connecting to the database by reusing previous connections
     //* Instead of closing a connection is it reopened which is useful since all http requests will need access to this database.
 // Also, instead of passing in a url, I am passing in an object containing the info necessary to create a url
 // from the data in my env file.
-const pool = mysql.createPool({
-    host: process.env.DB_HOST,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    database: process.env.DB_DATABASE
-})
+const pool = mysql.createPool(dbConnectionSettings)
+
+/**
+* @function Applies the settings every connection taken from the pool is used with.
+* @param {PoolConnection} connection - Connection taken from the pool.
+* @returns {void}
+*/
+async function prepareConnection(connection) {
+    // Allows use of variables for inserting http request data safely into sql queries.
+    connection.connection.config.namedPlaceholders = true;
+
+    // Assigns the sql_mode which affects how the database handles data by enabling strict mode for multiple rules to improve data validation.
+    await connection.query(`SET SESSION sql_mode = "TRADITIONAL"`);
+    // Sets the timezone in cases where the current time will be saved within the database.
+    await connection.query(`SET time_zone = '-8:00'`);
+}
 
 /**
 * @function Initializes a connection to the mySQL database associated with the project.
@@ -26,20 +44,21 @@ export async function loadDB(req, res, next) {
     try {
         // Obtains access to the database and assigns it to the db key for access later down the line.
         req.db = await pool.getConnection();
+        await prepareConnection(req.db);
 
-        // Allows use of variables for inserting http request data safely into sql queries.
-        req.db.connection.config.namedPlaceholders = true;
-
-        // Assigns the sql_mode which affects how the database handles data by enabling strict mode for multiple rules to improve data validation.
-        await req.db.query(`SET SESSION sql_mode = "TRADITIONAL"`);
-        // Sets the timezone in cases where the current time will be saved within the database.
-        await req.db.query(`SET time_zone = '-8:00'`);
+        //! Express does not wait on async route handlers, so the connection is only released once the response has been sent or the client has disconnected,
+        //! rather than once next returns, which would hand it to another request while the handler is still using it.
+        let isReleased = false;
+        req.releaseDB = () => {
+            if (isReleased) return;
+            isReleased = true;
+            req.db.release();
+        };
+        res.on('finish', req.releaseDB);
+        res.on('close', req.releaseDB);
 
         // Passes to the next middleware function.
-        await next();
-
-        // Once this process is returned to, the database connection is released.
-        req.db.release();
+        next();
     } catch (error) {
         // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
         console.log(error);
@@ -48,3 +67,50 @@ export async function loadDB(req, res, next) {
         res.status(500).json(error.message);
     }
 }
+
+/**
+* @function Runs a task within a transaction on its own connection from the pool, committing if the task succeeds and rolling back if it throws.
+* The request's connection is never used, so a transaction can not be left open on a connection that is handed to another request.
+* @param {function} transactionTask - Async function that is passed the transaction's connection.
+* @returns The result of the task.
+*/
+export async function withTransaction(transactionTask) {
+    let connection = await pool.getConnection();
+    try {
+        await prepareConnection(connection);
+        await connection.beginTransaction();
+        try {
+            let taskResult = await transactionTask(connection);
+            await connection.commit();
+            return taskResult;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+* @function Checks that the database can still be reached by pinging it over a connection from the pool, used by the readiness check.
+* Unlike loadDB, no response is sent, so that the caller can report the failure itself.
+* @returns {void} - An error is thrown if the database can not be reached.
+*/
+export async function pingDB() {
+    let connection = await pool.getConnection();
+    try {
+        await connection.ping();
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+* @function Opens a single connection to the db outside of the pool that allows multiple statements per query, used to run migration files.
+* Multiple statements are never enabled on the pool, since it would allow injected sql to run extra statements.
+* @returns The connection, which must be closed by the caller with end().
+*/
+export async function openMigrationConnection() {
+    return await mysql.createConnection({...dbConnectionSettings, multipleStatements: true});
+}
@@ -0,0 +1,198 @@
+//* How often the letter folders are rescanned when file watching is not available, currently every minute.
+const rescanInterval = 60 * 1000;
+//* How long to wait after a change is reported before rescanning, since a single folder creation can trigger several watch events.
+const rescanDelay = 250;
+
+/**
+* @function Calculates the number of single character edits needed to turn one string into another.
+* @param {string} a - The first string.
+* @param {string} b - The second string.
+* @returns The edit distance between the two strings.
+*/
+function getEditDistance(a, b) {
+    let previousRow = Array.from({length: b.length + 1}, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        let currentRow = [i];
+        for (let j = 1; j <= b.length; j++) {
+            let substitutionCost = a[i - 1] == b[j - 1] ? 0 : 1;
+            currentRow.push(Math.min(previousRow[j] + 1, currentRow[j - 1] + 1, previousRow[j - 1] + substitutionCost));
+        }
+        previousRow = currentRow;
+    }
+    return previousRow[b.length];
+}
+
+/**
+* @function Scores how well a directory name matches a search query, higher scores being better matches.
+* @param {string} directoryName - Lowercase name of the directory.
+* @param {string} query - Lowercase search query.
+* @param {string} mode - Either 'prefix', 'substring' or 'fuzzy', each mode also allowing the matches of the modes before it.
+* @returns An object containing the score and the type of match, or null if the name does not match.
+*/
+export function scoreDirectoryName(directoryName, query, mode) {
+    if (directoryName == query) return {score: 100, matchType: 'exact'};
+    //* Shorter names rank slightly higher since the query covers more of them.
+    if (directoryName.startsWith(query)) return {score: 90 - Math.min(directoryName.length - query.length, 10) / 2, matchType: 'prefix'};
+    if (mode == 'prefix') return null;
+
+    let words = directoryName.split(/[\s\-_.,&]+/).filter(word => word);
+    if (words.some(word => word.startsWith(query))) return {score: 75, matchType: 'wordPrefix'};
+    if (directoryName.includes(query)) return {score: 60, matchType: 'substring'};
+    if (mode == 'substring') return null;
+
+    //? Compares the query against every window of the name with the same length, allowing roughly one typo per four characters.
+    let allowedDistance = Math.max(1, Math.floor(query.length / 4));
+    let bestDistance = Infinity;
+    for (let start = 0; start <= Math.max(directoryName.length - query.length, 0); start++) {
+        bestDistance = Math.min(bestDistance, getEditDistance(query, directoryName.substring(start, start + query.length)));
+    }
+    for (const word of words) bestDistance = Math.min(bestDistance, getEditDistance(query, word));
+    if (bestDistance <= allowedDistance) return {score: 50 - bestDistance * 10, matchType: 'fuzzy'};
+
+    return null;
+}
+
+export class DirectoryIndex {
+    constructor(storage, directoriesFolderPath, onChange = null) {
+        //* The page's storage driver, used to read and watch the letter folders.
+        this._storage = storage;
+        this._directoriesFolderPath = directoriesFolderPath;
+        //* Called with the directories that were added to or removed from a letter folder whenever a rescan finds a difference.
+        this._onChange = onChange;
+        //* Maps each letter folder to a sorted array of the customer directory names within it.
+        this._letterFolders = new Map();
+        this._watchers = [];
+        this._rescanTimers = new Map();
+        this._rescanIntervalId = null;
+    }
+
+    /**
+    * @method Reads every letter folder and rebuilds the index, then starts keeping it up to date through file watching, or periodic rescans if watching is unavailable.
+    * @returns {void}
+    */
+    async build() {
+        this.close();
+
+        let letterFolders = (await this._storage.readdir(this._directoriesFolderPath)).map(entry => entry.name).filter(letter => letter.length == 1);
+        for (const letter of letterFolders) await this.rescanLetterFolder(letter);
+
+        try {
+            for (const letter of letterFolders) {
+                let watcher = this._storage.watch(`${this._directoriesFolderPath}/${letter}`, () => this._scheduleRescan(letter));
+                //! Watchers on network shares can fail after being created, and object storage can not be watched at all, in which case the index falls back to periodic rescans.
+                watcher.on('error', (error) => {
+                    console.error(error);
+                    this._startPeriodicRescans();
+                });
+                this._watchers.push(watcher);
+            }
+        } catch (error) {
+            //* Drivers that can not watch report ENOSYS, which is expected and not worth logging.
+            if (error.code != 'ENOSYS') console.error(error);
+            this._startPeriodicRescans();
+        }
+    }
+
+    /**
+    * @method Rereads a single letter folder and replaces its entries in the index.
+    * @param {string} letter - The letter folder to rescan.
+    * @returns {void}
+    */
+    async rescanLetterFolder(letter) {
+        try {
+            let letterFolderContents = await this._storage.readdir(`${this._directoriesFolderPath}/${letter}`);
+            //* Hidden folders, such as a directory still being moved, are not listed.
+            let directoryNames = letterFolderContents.filter(entry => entry.isDirectory() && !entry.name.startsWith('.')).map(entry => entry.name);
+            this._updateLetterFolder(letter, directoryNames.sort((a, b) => a.localeCompare(b)));
+        } catch (error) {
+            //* If the letter folder can no longer be read, its entries are removed rather than left stale.
+            console.error(error);
+            this._updateLetterFolder(letter, null);
+        }
+    }
+
+    _updateLetterFolder(letter, directoryNames) {
+        let previousNames = this._letterFolders.get(letter);
+        if (directoryNames) this._letterFolders.set(letter, directoryNames);
+        else this._letterFolders.delete(letter);
+
+        //? Changes are only reported for letter folders that were already indexed, so the first build does not report every directory as new.
+        if (!this._onChange || !previousNames) return;
+        let addedDirectories = (directoryNames ?? []).filter(directoryName => !previousNames.includes(directoryName));
+        let removedDirectories = previousNames.filter(directoryName => !directoryNames?.includes(directoryName));
+        if (addedDirectories.length || removedDirectories.length) this._onChange({letterFolder: letter, addedDirectories, removedDirectories});
+    }
+
+    _scheduleRescan(letter) {
+        clearTimeout(this._rescanTimers.get(letter));
+        this._rescanTimers.set(letter, setTimeout(() => {
+            this._rescanTimers.delete(letter);
+            this.rescanLetterFolder(letter);
+        }, rescanDelay));
+    }
+
+    _startPeriodicRescans() {
+        if (this._rescanIntervalId) return;
+        for (const watcher of this._watchers) watcher.close();
+        this._watchers = [];
+
+        this._rescanIntervalId = setInterval(async () => {
+            for (const letter of this._letterFolders.keys()) await this.rescanLetterFolder(letter);
+        }, rescanInterval);
+        //* The interval should not keep the process alive on its own.
+        this._rescanIntervalId.unref();
+    }
+
+    /**
+    * @method Stops all file watchers and periodic rescans.
+    * @returns {void}
+    */
+    close() {
+        for (const watcher of this._watchers) watcher.close();
+        this._watchers = [];
+        for (const timer of this._rescanTimers.values()) clearTimeout(timer);
+        this._rescanTimers.clear();
+        clearInterval(this._rescanIntervalId);
+        this._rescanIntervalId = null;
+    }
+
+    /**
+    * @method Returns every indexed directory name grouped by letter folder.
+    * @returns an array, in alphabetical order of the letter folders, of arrays containing the directory names within each letter folder.
+    */
+    getNestedDirectories() {
+        return [...this._letterFolders.keys()].sort().map(letter => this._letterFolders.get(letter));
+    }
+
+    /**
+    * @method Returns every indexed directory along with its letter folder.
+    * @returns an array of objects containing each directory's name and letter folder.
+    */
+    getEntries() {
+        return [...this._letterFolders].flatMap(([letter, directoryNames]) => directoryNames.map(directoryName => ({directoryName, letterFolder: letter})));
+    }
+
+    /**
+    * @method Searches the index for directories matching the query.
+    * @param {string} query - The text to search for, matched case insensitively.
+    * @param {string} mode - Either 'prefix', 'substring' or 'fuzzy', defaults to 'fuzzy' which allows all match types.
+    * @param {number} limit - The max number of results to return.
+    * @returns an array of matches ordered from best to worst, each containing the directory's name, letter folder, directoryFolderPath, score and match type.
+    */
+    search(query, mode = 'fuzzy', limit = 20) {
+        let normalizedQuery = query.trim().toLowerCase();
+        if (!normalizedQuery) return [];
+
+        let results = [];
+        for (const [letter, directoryNames] of this._letterFolders) {
+            for (const directoryName of directoryNames) {
+                let match = scoreDirectoryName(directoryName.toLowerCase(), normalizedQuery, mode);
+                if (!match) continue;
+                results.push({directoryName, letterFolder: letter, directoryFolderPath: `${letter}/${directoryName}`, ...match});
+            }
+        }
+
+        results.sort((a, b) => b.score - a.score || a.directoryName.localeCompare(b.directoryName));
+        return results.slice(0, limit);
+    }
+}
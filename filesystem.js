@@ -1,29 +1,162 @@
 import * as fs from 'fs/promises';
+import * as path from 'path';
+import { randomUUID, createHash } from 'crypto';
+import { EventEmitter } from 'events';
+import { DirectoryIndex } from './directoryindex.js';
+import { ContentHashIndex, hashStream } from './contenthashindex.js';
+import { InboxWatcher } from './inboxwatcher.js';
+import { extractPdfTextLines, suggestInvoiceDestination } from './invoicetext.js';
+import { compileRulePattern, matchRulePattern, expandRuleTemplate, usesInvoiceYear } from './sortrules.js';
+import { detectFileTypeFromPath, detectFileTypeFromStream, extensionMatchesType, signatureLength, unknownMimeType } from './filetypes.js';
+import { convertImageToPdf } from './imageconversion.js';
+import { createStorageDriver, getStorageSettingsErrors } from './storagedrivers.js';
+
+//* Characters that are not allowed within a file or folder name received from a request, including path separators and control characters.
+const invalidPathCharacters = /[\/\\<>:"|?*\x00-\x1f]/;
+//* Device names reserved by windows, which can not be used as file or folder names on the shared server even with an extension.
+const reservedPathNames = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+//* Letter folders every directories folder is expected to contain, one per letter of the alphabet.
+const letterFolderNames = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+
+//* Largest file that will have its text read for suggestions and sort rules, currently 25 MB, since the whole file must be loaded to be parsed.
+const maxSuggestionFileSize = 25 * 1024 * 1024;
+//* Max number of invoices whose text and suggestions are cached per page.
+const maxCachedSuggestions = 200;
+//* Max number of files whose detected type is cached per page.
+const maxCachedFileTypes = 2000;
+//* Largest image that will be converted to a pdf when sorted, currently 50 MB, since the image and the pdf are both held in memory while converting.
+const maxConversionFileSize = 50 * 1024 * 1024;
+
+//* Hidden folder within the invoice directory that holds the api's own files, which are never listed, sorted or served as invoices since every name starting with a period is excluded.
+const internalFolderName = '.invoice-sorter';
+//* Folder within the internal folder that holds an intent file for every move in progress, so that moves interrupted by a crash can be settled at startup.
+const pendingMovesFolderName = 'pending-moves';
+//* File within the internal folder that the content hash index is saved to, so that a restart does not rehash the whole archive.
+const contentHashIndexFileName = 'content-hashes.json';
+//* Causes _moveFile reports for a failed move, any other error is reported as failedToCopyFile.
+const fileMoveErrorCauses = ['SourcePathInvalid', 'DestinationPathAlreadyInUse', 'failedToCopyFile', 'failedToDeleteFile'];
+//* Folder within the internal folder that keeps the original of every image converted to a pdf when it was sorted, so that undoing the sort returns the image.
+const convertedOriginalsFolderName = 'converted-originals';
+//* Default number of days the original of a converted image is kept, after which undoing its sort returns the pdf instead.
+const defaultConvertedOriginalRetentionDays = 30;
+//* How often kept originals older than the retention period are removed, currently once a day.
+const convertedOriginalPruneInterval = 24 * 60 * 60 * 1000;
+
+
+//* Default length of time an invoice stays claimed by a user before another user can be given it, currently five minutes.
+const defaultInvoiceLeaseMinutes = 5;
+//* Default largest file that can be uploaded to a page's invoice directory, currently 50 MB.
+const defaultMaxUploadMegabytes = 50;
+
+//* Options a page can set within the paths settings file, mapped to a function that checks each option's value.
+const pageOptionValidators = {
+    invoiceLeaseMinutes: value => typeof value == 'number' && value > 0,
+    maxUploadMegabytes: value => typeof value == 'number' && value > 0,
+    convertImagesToPdf: value => typeof value == 'boolean',
+    convertedOriginalRetentionDays: value => typeof value == 'number' && value > 0,
+    hashRefreshMinutes: value => typeof value == 'number' && value > 0
+};
+
+/**
+* @function Checks that the parsed paths settings file matches the expected schema, where every page is defined under the pages key with a display name, paths, options and storage settings.
+* @param {object} pathSettings - The parsed json object from the paths settings file.
+* @returns An array of strings describing every schema violation found, which is empty if the settings are valid.
+*/
+function getPathSettingsErrors(pathSettings) {
+    let schemaErrors = [];
+    if (!pathSettings || typeof pathSettings != 'object' || !pathSettings.pages || typeof pathSettings.pages != 'object' || Array.isArray(pathSettings.pages)) {
+        return ['Paths settings file must contain a pages object.'];
+    }
+
+    let pageEntries = Object.entries(pathSettings.pages);
+    if (!pageEntries.length) schemaErrors.push('At least one page must be defined.');
+
+    for (const [pageName, pageSettings] of pageEntries) {
+        //* Page names are used within the api's routes, so they are limited to lowercase url safe characters.
+        if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(pageName)) schemaErrors.push(`Page name ${pageName} may only contain lowercase letters, numbers and dashes.`);
+        if (!pageSettings || typeof pageSettings != 'object') {
+            schemaErrors.push(`Page ${pageName} must be an object.`);
+            continue;
+        }
+
+        for (const requiredKey of ['displayName', 'invoicesPath', 'directoriesPath']) {
+            if (typeof pageSettings[requiredKey] != 'string' || !pageSettings[requiredKey].trim()) schemaErrors.push(`Page ${pageName} is missing a ${requiredKey} string.`);
+        }
+
+        schemaErrors.push(...getStorageSettingsErrors(pageName, pageSettings.storage));
+
+        let pageOptions = pageSettings.options ?? {};
+        if (typeof pageOptions != 'object' || Array.isArray(pageOptions)) {
+            schemaErrors.push(`Page ${pageName} options must be an object.`);
+            continue;
+        }
+        for (const [optionName, optionValue] of Object.entries(pageOptions)) {
+            if (!pageOptionValidators[optionName]) schemaErrors.push(`Page ${pageName} has an unknown option ${optionName}.`);
+            else if (!pageOptionValidators[optionName](optionValue)) schemaErrors.push(`Page ${pageName} has an invalid value for option ${optionName}.`);
+        }
+    }
+
+    return schemaErrors;
+}
 
 /**
-* @function Validates that the paths settings file exists and if it does the json object containing the various path string for all file directories is parsed and returned.
+* @function Validates that the paths settings file exists and matches the expected schema, and if it does the json object containing every page's settings is parsed and returned.
 * @param {string} pathSettingsFile - A string representing the path to the paths settings file.
-* @returns An array containing a boolean that signifies if the settings file exists, true if it does and false if not. If the file does exist then the json object within it is pushed to the array.
-* Otherwise, in the event the the paths settings file does not exists or another error occurs a null value is pushed instead.
+* @returns An array containing a boolean that signifies if the settings file exists and is valid, true if it is and false if not. If the file is valid then the pages object within it is pushed to the array.
+* Otherwise, a null value is pushed instead, followed by a message describing why the file is invalid.
 */
 export async function validateDirectoryPathsFile(pathSettingsFile) {
+    let pathSettings;
     try {
         //* Attempts to check the user's permissions for a file or directory, and if it can read the permissions from said file or directory it exists.
         await fs.access(pathSettingsFile)
-        let isFileValid = await fs.access(pathSettingsFile);
-        let directoryPaths = JSON.parse(await fs.readFile(pathSettingsFile));
-        return [true, directoryPaths];
+        pathSettings = JSON.parse(await fs.readFile(pathSettingsFile));
     } catch (error) {
         //* If an error occurs due to the path not leading to any file or directory, then the file does not exist.
-        return [false, null];
+        if (error instanceof SyntaxError) return [false, null, `Paths Settings File is not valid json!\n${error.message}`];
+        return [false, null, 'Paths Settings File does not exist!'];
     }
+
+    let schemaErrors = getPathSettingsErrors(pathSettings);
+    if (schemaErrors.length) return [false, null, `Paths Settings File is invalid:\n${schemaErrors.join('\n')}`];
+
+    return [true, pathSettings.pages, null];
 }
 
-export class FileSystem {
-    constructor(fileSystemName) {
+//* Emits a pageEvent whenever invoices arrive in or leave the invoice directory, or customer directories are added or removed,
+//* which the api also uses to broadcast the actions users perform so that every open client stays in sync.
+export class FileSystem extends EventEmitter {
+    constructor(fileSystemName, options = {}, storageSettings = {}) {
+        super();
+        //* Every open event stream adds a listener, so the default limit of ten would warn on busy pages.
+        this.setMaxListeners(0);
         this._fileSystemName = fileSystemName;
+        this._invoiceLeaseDuration = (options.invoiceLeaseMinutes ?? defaultInvoiceLeaseMinutes) * 60 * 1000;
+        this._maxUploadSize = Math.floor((options.maxUploadMegabytes ?? defaultMaxUploadMegabytes) * 1024 * 1024);
+        //* Scanned images are converted into a pdf when they are sorted if set, so that the archive only holds pdfs.
+        this._convertImagesToPdf = options.convertImagesToPdf ?? false;
+        this._convertedOriginalRetentionDays = options.convertedOriginalRetentionDays ?? defaultConvertedOriginalRetentionDays;
+        this._convertedOriginalsFolderPath = null;
+        this._convertedOriginalPruneIntervalId = null;
         this._invoiceFolderPath;
         this._directoriesFolderPath;
+        //* Performs every file operation, so that the page's invoices can be kept on a local drive or in object storage.
+        this._storage = createStorageDriver(storageSettings);
+        //* Maps an invoice's file name to the user currently holding a lease on it and when that lease expires.
+        this._invoiceLeases = new Map();
+        this._directoryIndex = null;
+        this._inboxWatcher = null;
+        this._pendingMovesFolderPath = null;
+        //* Chains every write into the invoice directory, so that two uploads can not claim the same free file name at once.
+        this._invoiceWriteQueue = Promise.resolve();
+        //* Tracks the content hash of every file within the invoice and directories folders, used to warn about duplicate invoices.
+        this._contentHashIndex = null;
+        this._hashRefreshMinutes = options.hashRefreshMinutes;
+        //* Maps an invoice's name, size and modified time to its text and the suggestions generated for it, so that the file is not read again every time it is requested.
+        this._suggestionCache = new Map();
+        //* Maps a file's path, size and modified time to the type detected from its content.
+        this._fileTypeCache = new Map();
     }
 
     async loadDirectoryPaths(invoicePathString, directoriesPathString) {
@@ -37,13 +170,139 @@ export class FileSystem {
             let [areLetterFoldersInitialized, letterFoldersValidatorMessage] = await this._validateLetterFolders();
             if (!areLetterFoldersInitialized) throw new Error(letterFoldersValidatorMessage);
 
-            return {valid: true, message: `${mainPathValidatorMessage}\n${letterFoldersValidatorMessage}\n`}
+            //? Finishes or rolls back any moves that were interrupted the last time the page was loaded, before the indexes read the folders.
+            let recoveredMovesMessage = await this._recoverInterruptedMoves();
+
+            //? Builds the searchable index of the customer directories now that all letter folders are known to exist.
+            this._directoryIndex?.close();
+            this._directoryIndex = new DirectoryIndex(this._storage, this._directoriesFolderPath, (directoryChanges) => this.emit('pageEvent', {type: 'directoriesChanged', ...directoryChanges}));
+            await this._directoryIndex.build();
+
+            this._inboxWatcher?.close();
+            this._inboxWatcher = new InboxWatcher(this._storage, this._invoiceFolderPath, ({ addedInvoices, removedInvoices }) => {
+                if (addedInvoices.length) this.emit('pageEvent', {type: 'invoicesAdded', invoiceNames: addedInvoices});
+                if (removedInvoices.length) this.emit('pageEvent', {type: 'invoicesRemoved', invoiceNames: removedInvoices});
+            }, (invoiceName) => this._readInvoiceDetails(invoiceName));
+            await this._inboxWatcher.build();
+
+            //? Removes the originals of converted images once they are past the retention period, now and then once a day.
+            this._convertedOriginalsFolderPath = `${this._invoiceFolderPath}/${internalFolderName}/${convertedOriginalsFolderName}`;
+            await this._pruneConvertedOriginals();
+            clearInterval(this._convertedOriginalPruneIntervalId);
+            this._convertedOriginalPruneIntervalId = setInterval(() => this._pruneConvertedOriginals(), convertedOriginalPruneInterval);
+            //* The interval should not keep the process alive on its own.
+            this._convertedOriginalPruneIntervalId.unref();
+
+            //? Hashes every invoice in the background, since a large archive can take a while to read.
+            this._contentHashIndex?.close();
+            this._contentHashIndex = new ContentHashIndex(this._storage, [this._invoiceFolderPath, this._directoriesFolderPath], {
+                savedIndexPath: `${this._invoiceFolderPath}/${internalFolderName}/${contentHashIndexFileName}`,
+                refreshMinutes: this._hashRefreshMinutes
+            });
+            this._contentHashIndex.build();
+
+            return {valid: true, message: `${mainPathValidatorMessage}\n${letterFoldersValidatorMessage}\n${recoveredMovesMessage}`}
         } catch (error) {
             console.error(error)
             return {valid: false, message: error.message}
         }
     }
 
+    /**
+    * @method Stops the directory index, inbox watcher and content hash index from watching for changes, used once the file system is removed from the api.
+    * Any open event streams are told the page was closed so that they can reconnect to its replacement.
+    * @returns {void}
+    */
+    close() {
+        this._directoryIndex?.close();
+        this._inboxWatcher?.close();
+        this._contentHashIndex?.close();
+        clearInterval(this._convertedOriginalPruneIntervalId);
+        this.emit('pageEvent', {type: 'pageClosed'});
+    }
+
+    /**
+    * @method Returns the largest file, in bytes, that can be uploaded to the invoice directory.
+    * @returns the max upload size in bytes.
+    */
+    get maxUploadSize() {
+        return this._maxUploadSize;
+    }
+
+    /**
+    * @method Streams a file within the page's main directories in response to a request, handling the Content-Type, Content-Length, ETag and Range headers.
+    * @param {Request} req - Request object of the http request.
+    * @param {Response} res - Response object the file is streamed to.
+    * @param {string} filePath - Absolute path to the file, as returned by getInvoiceFilePath or getStoredInvoiceFilePath.
+    * @param {function} callback - Called once the file has been sent, or with an error if it failed.
+    * @returns {void}
+    */
+    async sendFile(req, res, filePath, callback) {
+        try {
+            //! The Content-Type is set from the file's content rather than its extension, so that a scan saved with the wrong extension still displays.
+            let fileType = await this._getFileType(filePath, await this._storage.stat(filePath));
+            res.type(fileType?.mimeType ?? unknownMimeType);
+            this._storage.sendFile(req, res, filePath, callback);
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    /**
+    * @method Detects a file's type from its content, caching the result by the file's path, size and modified time.
+    * @param {string} filePath - Absolute path to the file.
+    * @param {object} fileStat - The file's stats, used to tell when the cached type is out of date.
+    * @returns an object containing the type's extension, mime type and whether it is an image, or null if the file is not an accepted invoice type.
+    */
+    async _getFileType(filePath, fileStat) {
+        let cacheKey = `${filePath}:${fileStat.size}:${fileStat.mtimeMs}`;
+        if (this._fileTypeCache.has(cacheKey)) return this._fileTypeCache.get(cacheKey);
+
+        let fileType = await detectFileTypeFromStream(await this._storage.createReadStream(filePath, {start: 0, end: signatureLength - 1}));
+
+        //* Removes the oldest cached type once the cache is full, maps iterate in insertion order.
+        this._fileTypeCache.set(cacheKey, fileType);
+        if (this._fileTypeCache.size > maxCachedFileTypes) this._fileTypeCache.delete(this._fileTypeCache.keys().next().value);
+
+        return fileType;
+    }
+
+    /**
+    * @method Opens a stream of a file within the page's main directories.
+    * @param {string} filePath - Absolute path to the file, as returned by getStoredInvoiceFilePaths.
+    * @returns a readable stream of the file's content.
+    */
+    async createFileReadStream(filePath) {
+        return await this._storage.createReadStream(filePath);
+    }
+
+    /**
+    * @method Lists the file names within the invoice directory, leaving out hidden files such as uploads that are still being written.
+    * @returns an array of file names.
+    */
+    async _readInvoiceFolder() {
+        return (await this._storage.readdir(this._invoiceFolderPath)).map(entry => entry.name).filter(fileName => !fileName.startsWith('.'));
+    }
+
+    /**
+    * @method Reads the details of a file within the invoice directory that are listed for it, used by the inbox watcher's index.
+    * @param {string} invoiceName - File name within the invoice directory.
+    * @returns an object containing the file's name, size, modified time, extension and detected mime type, or null if it is not a regular file.
+    */
+    async _readInvoiceDetails(invoiceName) {
+        let invoicePath = `${this._invoiceFolderPath}/${invoiceName}`;
+        let fileStat = await this._storage.stat(invoicePath);
+        if (!fileStat.isFile()) return null;
+
+        return {
+            name: invoiceName,
+            size: fileStat.size,
+            modifiedAt: fileStat.mtime.getTime(),
+            extension: path.extname(invoiceName).slice(1).toLowerCase(),
+            mimeType: (await this._getFileType(invoicePath, fileStat))?.mimeType ?? unknownMimeType
+        };
+    }
+
     async _validateMainDirectories() {
         let isDirectoriesFoldersPathValid = await this._checkPath(this._directoriesFolderPath);
         let isInvoiceFolderPathValid = await this._checkPath(this._invoiceFolderPath);
@@ -60,15 +319,14 @@ export class FileSystem {
 
     async _validateLetterFolders() {
         try {
-            let alphabetArray = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('')
-            let letterFoldersPathArray = alphabetArray.map(letter => `${this._directoriesFolderPath}/${letter}`);
+            let letterFoldersPathArray = letterFolderNames.map(letter => `${this._directoriesFolderPath}/${letter}`);
             
             let pathValidatorResult;
             let invalidLetterFolder;
             do {
                 [pathValidatorResult, invalidLetterFolder] = await this._validatePaths(letterFoldersPathArray);
                 if (!pathValidatorResult) {
-                    let hasFolderCreationFailed = await fs.mkdir(invalidLetterFolder);
+                    let hasFolderCreationFailed = await this._storage.mkdir(invalidLetterFolder);
                     if (hasFolderCreationFailed) throw new Error(`Failed to initialize missing letter folders.`)
                 }
             } while (!pathValidatorResult);
@@ -84,120 +342,862 @@ export class FileSystem {
     * @param {string} path - String value of the path that will be checked.
     * @returns a boolean - True is returned if there is an associated file or directory and false if no file or directory exists.
     */
-    async _checkPath(path) {
-        try {
-            //* Attempts to check the user's permissions for a file or directory, and if it can read the permissions from said file or directory it exists.
-            await fs.access(path);
-            return true;
-        } catch (error) {
-            //* If an error occurs due to the path not leading to any file or directory, then the file does not exist.
-            return false;
+    async _checkPath(path) {
+        //* The page's storage driver determines how existence is checked, such as accessing a file or listing an object prefix.
+        return await this._storage.exists(path);
+    } 
+
+    /**
+    * @method Determines if the passed path strings in the passed in array are valid paths. 
+    * @param {Array} pathArray - An array of paths strings that will be verified.
+    * @returns an array containing a boolean, true if the array contains all valid paths and false if one or more paths are invalid, and if an invalid path is found, the invalid path string is returned
+    * in teh array, otherwise this value will be null.
+    */
+    async _validatePaths(pathArray) {
+        try {
+            for (const path of pathArray) {
+                if (!(await this._checkPath(path))) {
+                    throw new Error(path);
+                }
+            }
+
+            return [true, null];
+        } catch ({message: invalidPath}) {
+            return [false, invalidPath]
+        }
+    }
+
+    /**
+    * @method Validates a single file or folder name received from a request so that it can be safely joined onto one of the main directory paths.
+    * @param {string} segment - The file or folder name to validate.
+    * @param {string} label - Name of the parameter the segment came from, used in the error message.
+    * @returns the validated segment, otherwise an error with an invalidPath cause is thrown.
+    */
+    _validatePathSegment(segment, label) {
+        let invalidReason = null;
+        if (typeof segment != 'string' || !segment.length) invalidReason = 'is missing';
+        else if (segment.length > 255) invalidReason = 'is too long';
+        else if (segment == '.' || segment == '..') invalidReason = 'can not be a relative path';
+        //! Names starting with a period are hidden, which includes the api's internal folder and copies still being written by a move, so requests can never reach them.
+        else if (segment.startsWith('.')) invalidReason = 'can not start with a period';
+        else if (invalidPathCharacters.test(segment)) invalidReason = 'contains invalid characters';
+        else if (/[. ]$/.test(segment)) invalidReason = 'can not end with a period or space';
+        else if (reservedPathNames.test(segment)) invalidReason = 'is a reserved name';
+
+        if (invalidReason) throw new Error(`Invalid ${label} - ${segment ?? ''} ${invalidReason}.`, {cause: 'invalidPath'});
+        return segment;
+    }
+
+    /**
+    * @method Joins validated segments onto a root path, and confirms the normalized result is still contained within that root.
+    * @param {string} rootPath - Either the invoice folder path or the directories folder path.
+    * @param {Array} segments - The validated path segments to join onto the root.
+    * @returns the absolute path string, otherwise an error with an invalidPath cause is thrown.
+    */
+    _resolveWithinRoot(rootPath, segments) {
+        let absoluteRootPath = path.resolve(rootPath);
+        let resolvedPath = path.resolve(absoluteRootPath, ...segments);
+        if (resolvedPath != absoluteRootPath && !resolvedPath.startsWith(`${absoluteRootPath}${path.sep}`)) {
+            throw new Error(`Invalid Path - ${segments.join('/')} is outside of the ${this._fileSystemName} directories.`, {cause: 'invalidPath'});
+        }
+        return resolvedPath;
+    }
+
+    /**
+    * @method Validates that a letter folder is a single uppercase letter.
+    * @param {string} letterFolder - The letter folder to validate.
+    * @returns the validated letter folder, otherwise an error with an invalidPath cause is thrown.
+    */
+    _validateLetterFolder(letterFolder) {
+        if (!/^[A-Z]$/.test(letterFolder)) throw new Error(`Invalid letterFolder - ${letterFolder ?? ''} must be a single uppercase letter.`, {cause: 'invalidPath'});
+        return letterFolder;
+    }
+
+    /**
+    * @method Validates that a year is a four digit number.
+    * @param {string} year - The year to validate.
+    * @returns the validated year, otherwise an error with an invalidPath cause is thrown.
+    */
+    _validateYear(year) {
+        if (!/^\d{4}$/.test(`${year}`)) throw new Error(`Invalid year - ${year ?? ''} must be a four digit year.`, {cause: 'invalidPath'});
+        return `${year}`;
+    }
+
+    /**
+    * @method Resolves the path of a file directly within the invoice directory.
+    * @param {string} invoiceName - File name of the invoice.
+    * @returns the absolute path string of the invoice.
+    */
+    _resolveInvoicePath(invoiceName) {
+        return this._resolveWithinRoot(this._invoiceFolderPath, [this._validatePathSegment(invoiceName, 'invoiceName')]);
+    }
+
+    /**
+    * @method Resolves the path of a customer directory from a directoryFolderPath in the form of letter/customer.
+    * @param {string} directoryFolderPath - The letter folder and customer directory name separated by a forward slash.
+    * @returns the absolute path string of the customer directory.
+    */
+    _resolveDirectoryFolderPath(directoryFolderPath) {
+        let pathSegments = `${directoryFolderPath ?? ''}`.split('/');
+        if (pathSegments.length != 2) throw new Error(`Invalid directoryFolderPath - ${directoryFolderPath ?? ''} must be in the form of letter/directory.`, {cause: 'invalidPath'});
+
+        let [letterFolder, directoryName] = pathSegments;
+        return this._resolveWithinRoot(this._directoriesFolderPath, [this._validateLetterFolder(letterFolder), this._validatePathSegment(directoryName, 'directory name')]);
+    }
+
+    /**
+    * @method Resolves the path of an invoice that has been sorted into a customer directory's year folder.
+    * @param {string} directoryFolderPath - The letter folder and customer directory name separated by a forward slash.
+    * @param {string} year - The year folder the invoice is stored in.
+    * @param {string} invoiceName - File name of the invoice.
+    * @returns the absolute path string of the stored invoice.
+    */
+    _resolveStoredInvoicePath(directoryFolderPath, year, invoiceName) {
+        let directoryFolderAbsolutePath = this._resolveDirectoryFolderPath(directoryFolderPath);
+        return this._resolveWithinRoot(directoryFolderAbsolutePath, [this._validateYear(year), this._validatePathSegment(invoiceName, 'invoiceName')]);
+    }
+
+    async _moveFile(sourcePath, destinationPath) {
+        try {
+            //? Checks the source and destination path strings.
+                //* Source path should be an existing file, never a folder, and destination path should not exist.
+            if (!(await this._checkPath(sourcePath)) || !(await this._storage.stat(sourcePath)).isFile()) throw new Error(`SourcePathInvalid`);
+            if (await this._checkPath(destinationPath)) throw new Error(`DestinationPathAlreadyInUse`);
+
+            //? Records the move before starting it, so that it can be finished or rolled back at startup if the process stops part way through.
+            let moveId = randomUUID();
+            let moveIntent = {sourcePath, destinationPath, tempPath: path.join(path.dirname(destinationPath), `.move-${moveId}`), startedAt: new Date().toISOString()};
+            let intentPath = `${this._pendingMovesFolderPath}/${moveId}.json`;
+            await this._storage.writeFile(intentPath, JSON.stringify(moveIntent));
+
+            try {
+                //! The driver refuses to replace an existing file, so a file that takes the destination's name after the check above is never overwritten.
+                await this._storage.moveFile(sourcePath, destinationPath, moveIntent.tempPath);
+                await this._storage.rm(intentPath, {force: true});
+            } catch (error) {
+                //* Missing sources and taken destinations are detected before anything is moved, leaving nothing to settle.
+                if (error.code == 'ENOENT' || error.code == 'EEXIST') {
+                    await this._storage.rm(intentPath, {force: true});
+                    throw new Error(error.code == 'ENOENT' ? 'SourcePathInvalid' : 'DestinationPathAlreadyInUse');
+                }
+
+                //? Settles the failed move right away, so that the file is left in exactly one place.
+                console.error(error);
+                if ((await this._settleMove(moveIntent, intentPath)) != 'completed') throw new Error(`failedToCopyFile`);
+            }
+
+            await this._contentHashIndex?.moveFile(sourcePath, destinationPath);
+
+            // Returns true if the process successfully executed
+            return [true, null]
+        } catch (error) {
+            // If any error is thrown or occurs, false is returned along with the cause of the failure.
+            if (fileMoveErrorCauses.includes(error.message)) return [false, error.message];
+            console.error(error);
+            return [false, 'failedToCopyFile']
+        }
+    }
+
+    async _hashFile(filePath) {
+        return await hashStream(await this._storage.createReadStream(filePath));
+    }
+
+    /**
+    * @method Works out how far an interrupted move got from which of its paths still exist, then finishes it if the file reached its destination, or rolls it back if not.
+    * @param {object} moveIntent - The recorded move, containing its sourcePath, destinationPath and tempPath.
+    * @param {string} intentPath - Path to the move's intent file, which is removed once the move is settled.
+    * @returns a string of 'completed' if the file is now only at its destination, 'rolledBack' if it is only at its source, or 'unresolved' if the move could not be settled and was left for the next startup.
+    */
+    async _settleMove(moveIntent, intentPath) {
+        if (moveIntent.isFolder) return await this._settleFolderMove(moveIntent, intentPath);
+
+        let { sourcePath, destinationPath, tempPath } = moveIntent;
+        try {
+            let moveOutcome;
+            let isSourcePresent = await this._checkPath(sourcePath);
+            let isDestinationPresent = await this._checkPath(destinationPath);
+
+            if (isSourcePresent && isDestinationPresent) {
+                //* Both exist if the process stopped after the file reached its destination but before the source was removed,
+                //* in which case the source is removed, unless the destination holds a different file that took the name.
+                if ((await this._hashFile(sourcePath)) == (await this._hashFile(destinationPath))) {
+                    await this._storage.rm(sourcePath);
+                    moveOutcome = 'completed';
+                } else {
+                    moveOutcome = 'rolledBack';
+                }
+            } else if (isDestinationPresent) {
+                moveOutcome = 'completed';
+            } else if (isSourcePresent) {
+                moveOutcome = 'rolledBack';
+            } else if (tempPath && (await this._checkPath(tempPath))) {
+                //! The source is only removed once the file is in place, so this only happens if the destination was removed by hand, and the verified copy is kept rather than lost.
+                await this._storage.rename(tempPath, destinationPath);
+                moveOutcome = 'completed';
+            } else {
+                console.error(`Move of ${sourcePath} to ${destinationPath} could not be recovered, neither file exists.`);
+                moveOutcome = 'rolledBack';
+            }
+
+            if (tempPath) await this._storage.rm(tempPath, {force: true});
+            await this._storage.rm(intentPath, {force: true});
+            return moveOutcome;
+        } catch (error) {
+            console.error(error);
+            return 'unresolved';
+        }
+    }
+
+    /**
+    * @method Works out how far an interrupted directory move got from which of its paths still exist, then finishes it if it was part way through.
+    * Object storage moves a directory by copying each of its objects before deleting any of them, so a directory at both paths is finished by moving it again,
+    * which copies any objects still missing from the destination and then deletes the source, rather than deleting copies that may be the only whole ones left.
+    * @param {object} moveIntent - The recorded move, containing its sourcePath and destinationPath.
+    * @param {string} intentPath - Path to the move's intent file, which is removed once the move is settled.
+    * @returns a string of 'completed' if the directory is now only at its destination, 'rolledBack' if it is only at its source, or 'unresolved' if the move could not be settled and was left for the next startup.
+    */
+    async _settleFolderMove(moveIntent, intentPath) {
+        let { sourcePath, destinationPath } = moveIntent;
+        try {
+            let moveOutcome;
+            let isSourcePresent = await this._checkPath(sourcePath);
+            let isDestinationPresent = await this._checkPath(destinationPath);
+
+            if (isSourcePresent && isDestinationPresent) {
+                await this._storage.rename(sourcePath, destinationPath);
+                moveOutcome = 'completed';
+            } else if (isDestinationPresent) {
+                moveOutcome = 'completed';
+            } else if (isSourcePresent) {
+                moveOutcome = 'rolledBack';
+            } else {
+                console.error(`Move of directory ${sourcePath} to ${destinationPath} could not be recovered, neither directory exists.`);
+                moveOutcome = 'rolledBack';
+            }
+
+            await this._storage.rm(intentPath, {force: true});
+            return moveOutcome;
+        } catch (error) {
+            console.error(error);
+            return 'unresolved';
+        }
+    }
+
+    /**
+    * @method Settles every move recorded within the pending moves folder, which only holds moves that were interrupted since each move removes its own intent file once it is done.
+    * @returns a string describing how many moves were recovered.
+    */
+    async _recoverInterruptedMoves() {
+        this._pendingMovesFolderPath = `${this._invoiceFolderPath}/${internalFolderName}/${pendingMovesFolderName}`;
+        await this._storage.mkdir(this._pendingMovesFolderPath, {recursive: true});
+
+        let moveOutcomes = {completed: 0, rolledBack: 0, unresolved: 0};
+        for (const entry of await this._storage.readdir(this._pendingMovesFolderPath)) {
+            if (!entry.isFile() || !entry.name.endsWith('.json')) continue;
+            let intentPath = `${this._pendingMovesFolderPath}/${entry.name}`;
+
+            let moveIntent;
+            try {
+                moveIntent = JSON.parse(await this._storage.readFile(intentPath));
+            } catch (error) {
+                //* An intent file that can not be read was interrupted while being written, before its move started.
+                if (!(error instanceof SyntaxError)) throw error;
+                await this._storage.rm(intentPath, {force: true});
+                continue;
+            }
+            moveOutcomes[await this._settleMove(moveIntent, intentPath)]++;
+        }
+
+        if (!moveOutcomes.completed && !moveOutcomes.rolledBack && !moveOutcomes.unresolved) return '';
+        let recoveredMovesMessage = `Recovered interrupted moves for ${this._fileSystemName} - ${moveOutcomes.completed} completed, ${moveOutcomes.rolledBack} rolled back.\n`;
+        if (moveOutcomes.unresolved) recoveredMovesMessage += `${moveOutcomes.unresolved} interrupted moves could not be settled and will be retried on the next load.\n`;
+        return recoveredMovesMessage;
+    }
+
+    async getAllDirectories() {
+        try {
+            //? First makes sure the directories folder is still reachable, since the index could otherwise return stale names.
+            if (!(await this._checkPath(this._directoriesFolderPath))) throw new Error('Directories Folder path is invalid.');
+            
+            //* Returns the array in alphabetical order of all the directory names within each letter folder, served from the directory index instead of rereading every letter folder.
+            return this._directoryIndex.getNestedDirectories();
+        } catch (error) {
+            console.error(error);
+        }
+    }
+
+    /**
+    * @method Searches the customer directories for names matching the passed in query.
+    * @param {object} searchQueryParameters - Query parameters containing the query string, the match mode ('prefix', 'substring' or 'fuzzy') and the max number of results.
+    * @returns an array of ranked matches, each containing the directory's name, its letter folder and its directoryFolderPath.
+    */
+    searchDirectories(searchQueryParameters) {
+        let { query, mode = 'fuzzy', limit } = searchQueryParameters;
+        if (!query) throw new Error('A search query is required!', {cause: 'invalidQuery'});
+        if (!['prefix', 'substring', 'fuzzy'].includes(mode)) throw new Error(`Invalid mode value ${mode}!`, {cause: 'invalidQuery'});
+
+        //? Limits the number of results to between 1 and 100, defaulting to 20.
+        let resultLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        return this._directoryIndex.search(query, mode, resultLimit);
+    }
+
+    /**
+    * @method Resolves a customer directory, confirming that it exists.
+    * @param {string} directoryFolderPath - The letter folder and customer directory name separated by a forward slash.
+    * @returns the absolute path string of the customer directory, otherwise an error with an invalidPath or invalidDirectory cause is thrown.
+    */
+    async _resolveExistingDirectoryFolderPath(directoryFolderPath) {
+        let directoryFolderAbsolutePath = this._resolveDirectoryFolderPath(directoryFolderPath);
+        if (!(await this._checkPath(directoryFolderAbsolutePath))) throw new Error(`Directory ${directoryFolderPath} does not exist.`, {cause: 'invalidDirectory'});
+        return directoryFolderAbsolutePath;
+    }
+
+    /**
+    * @method Lists the year folders within a customer directory along with the number of invoices stored in each.
+    * @param {object} requestQueryParameters - Query parameters containing the directoryFolderPath of the customer directory.
+    * @returns an array of objects containing each year, its invoice count and when it was last modified, ordered from newest to oldest year.
+    */
+    async listDirectoryYears(requestQueryParameters) {
+        let { directoryFolderPath } = requestQueryParameters;
+        let directoryFolderAbsolutePath = await this._resolveExistingDirectoryFolderPath(directoryFolderPath);
+
+        let yearFolders = [];
+        for (const entry of await this._storage.readdir(directoryFolderAbsolutePath)) {
+            //* Folders that are not named after a year were not created by the api, and are left out.
+            if (!entry.isDirectory() || !/^\d{4}$/.test(entry.name)) continue;
+
+            let yearFolderPath = path.join(directoryFolderAbsolutePath, entry.name);
+            let yearFolderContents = await this._storage.readdir(yearFolderPath);
+            yearFolders.push({
+                year: entry.name,
+                invoiceCount: yearFolderContents.filter(yearEntry => yearEntry.isFile() && !yearEntry.name.startsWith('.')).length,
+                modifiedAt: (await this._storage.stat(yearFolderPath)).mtime
+            });
+        }
+
+        return yearFolders.sort((a, b) => b.year.localeCompare(a.year));
+    }
+
+    /**
+    * @method Resolves one of a customer directory's year folders, confirming that it exists.
+    * @param {string} directoryFolderPath - The letter folder and customer directory name separated by a forward slash.
+    * @param {string} year - The year folder within the customer directory.
+    * @returns the absolute path string of the year folder, otherwise an error with an invalidPath or invalidDirectory cause is thrown.
+    */
+    async _resolveExistingYearFolderPath(directoryFolderPath, year) {
+        let yearFolderPath = this._resolveWithinRoot(await this._resolveExistingDirectoryFolderPath(directoryFolderPath), [this._validateYear(year)]);
+        if (!(await this._checkPath(yearFolderPath))) throw new Error(`Directory ${directoryFolderPath} has no ${year} year folder.`, {cause: 'invalidDirectory'});
+        return yearFolderPath;
+    }
+
+    /**
+    * @method Lists the invoices stored within one of a customer directory's year folders.
+    * @param {object} requestQueryParameters - Query parameters containing the directoryFolderPath and year of the folder to list.
+    * @returns an array of objects containing each invoice's name, size, modified time, extension and the mime type detected from its content, ordered by name.
+    */
+    async listStoredInvoices(requestQueryParameters) {
+        let { directoryFolderPath, year } = requestQueryParameters;
+        let yearFolderPath = await this._resolveExistingYearFolderPath(directoryFolderPath, year);
+
+        let storedInvoices = [];
+        for (const entry of await this._storage.readdir(yearFolderPath)) {
+            //* Hidden files, such as copies still being written by a move, are not listed.
+            if (!entry.isFile() || entry.name.startsWith('.')) continue;
+
+            let storedInvoicePath = path.join(yearFolderPath, entry.name);
+            let fileStat = await this._storage.stat(storedInvoicePath);
+            storedInvoices.push({
+                name: entry.name,
+                size: fileStat.size,
+                modifiedAt: fileStat.mtime,
+                extension: path.extname(entry.name).slice(1).toLowerCase(),
+                mimeType: (await this._getFileType(storedInvoicePath, fileStat))?.mimeType ?? unknownMimeType
+            });
+        }
+
+        return storedInvoices.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+    * @method Resolves the absolute path of an invoice stored within a customer directory's year folder so that it can be streamed to the client.
+    * @param {object} requestQueryParameters - Query parameters containing the directoryFolderPath, year and invoiceName of the stored invoice.
+    * @returns the absolute path string of the stored invoice.
+    */
+    async getStoredInvoiceFilePath(requestQueryParameters) {
+        let { directoryFolderPath, year, invoiceName } = requestQueryParameters;
+        let storedInvoicePath = this._resolveStoredInvoicePath(directoryFolderPath, year, invoiceName);
+        if (!(await this._checkPath(storedInvoicePath)) || !(await this._storage.stat(storedInvoicePath)).isFile()) {
+            throw new Error(`Invoice ${invoiceName} was not found in ${directoryFolderPath}/${year}.`, {cause: 'invalidInvoice'});
+        }
+
+        return storedInvoicePath;
+    }
+
+    /**
+    * @method Resolves the absolute path of every invoice stored within one of a customer directory's year folders, used to stream the folder as a zip.
+    * @param {object} requestQueryParameters - Query parameters containing the directoryFolderPath and year of the folder.
+    * @returns an array of objects containing each invoice's name and absolute path.
+    */
+    async getStoredInvoiceFilePaths(requestQueryParameters) {
+        let { directoryFolderPath, year } = requestQueryParameters;
+        let yearFolderPath = await this._resolveExistingYearFolderPath(directoryFolderPath, year);
+
+        //* The names are read from the folder itself, so they are joined directly rather than validated as request input.
+        let yearFolderContents = await this._storage.readdir(yearFolderPath);
+        return yearFolderContents.filter(entry => entry.isFile() && !entry.name.startsWith('.')).map(entry => ({name: entry.name, filePath: path.join(yearFolderPath, entry.name)}));
+    }
+
+    /**
+    * @method Determines if an invoice is currently leased to a user other than the one passed in. Expired leases are removed when found.
+    * @param {string} invoiceName - File name of the invoice within the invoice directory.
+    * @param {number} userId - Database id of the user requesting the invoice.
+    * @returns a boolean - True if another user holds a valid lease on the invoice, false otherwise.
+    */
+    _isLeasedByAnotherUser(invoiceName, userId) {
+        let lease = this._invoiceLeases.get(invoiceName);
+        if (!lease) return false;
+        if (lease.expiresAt <= Date.now()) {
+            this._invoiceLeases.delete(invoiceName);
+            return false;
+        }
+        return lease.userId != userId;
+    }
+
+    /**
+    * @method Claims an invoice for a user, replacing any lease they already hold on it with a new one.
+    * @param {string} invoiceName - File name of the invoice within the invoice directory.
+    * @param {number} userId - Database id of the user claiming the invoice.
+    * @returns the timestamp of when the new lease expires.
+    */
+    _leaseInvoice(invoiceName, userId) {
+        let expiresAt = Date.now() + this._invoiceLeaseDuration;
+        this._invoiceLeases.set(invoiceName, {userId, expiresAt});
+        return expiresAt;
+    }
+
+    /**
+    * @method Finds the invoice currently leased to the user, if they hold a valid lease on one.
+    * @param {number} userId - Database id of the user.
+    * @returns the invoice's file name, or null if the user holds no valid lease.
+    */
+    _getUserLeasedInvoice(userId) {
+        for (const [invoiceName, lease] of this._invoiceLeases) {
+            if (lease.userId == userId && lease.expiresAt > Date.now()) return invoiceName;
+        }
+        return null;
+    }
+
+    /**
+    * @method Retrieves the next invoice for a user and leases it to them so that no other user is given the same invoice until the lease is released or expires.
+    * If the user already holds a valid lease on an invoice, that invoice is returned again and its lease is renewed.
+    * @param {number} userId - Database id of the user requesting an invoice.
+    * @returns an array containing the invoice's file name, an object with the file's size, modified time and mime type, and the timestamp of when the lease expires.
+    */
+    async getInvoice(userId) {
+        try {
+            //? Reads the folder where all the invoice are located, and places any invoice already leased to the user at the front of the list.
+            let invoiceFolder = await this._readInvoiceFolder();
+            let userLeasedInvoice = this._getUserLeasedInvoice(userId);
+            if (userLeasedInvoice && invoiceFolder.includes(userLeasedInvoice)) {
+                invoiceFolder = [userLeasedInvoice, ...invoiceFolder.filter(fileName => fileName != userLeasedInvoice)];
+            }
+            
+            let invoiceName = '';
+            let invoiceStat;
+            let leaseExpiresAt;
+            let hasSkippedLeasedInvoice = false;
+            for (const fileName of invoiceFolder) {
+                if (this._isLeasedByAnotherUser(fileName, userId)) {
+                    hasSkippedLeasedInvoice = true;
+                    continue;
+                }
+
+                //! The lease is taken before the file is checked, since another request could claim the same file while this one is waiting on the stat call.
+                let expiresAt = this._leaseInvoice(fileName, userId);
+                let fileStat = await this._storage.stat(`${this._invoiceFolderPath}/${fileName}`);
+                if (!fileStat.isFile()) {
+                    this._invoiceLeases.delete(fileName);
+                    continue;
+                }
+
+                invoiceName = fileName;
+                invoiceStat = fileStat;
+                leaseExpiresAt = expiresAt;
+                break;
+            }
+
+            if (!invoiceName) {
+                if (hasSkippedLeasedInvoice) throw new Error('All Invoices Are Currently Claimed By Other Users.', {cause: 'noInvoices'});
+                throw new Error('No Valid Files Within Invoice Directory.', {cause: 'noInvoices'});
+            }
+
+            //? Releases any other invoice the user was holding, so each user only holds one lease at a time.
+            if (userLeasedInvoice && userLeasedInvoice != invoiceName) this._invoiceLeases.delete(userLeasedInvoice);
+    
+            //* Only the invoice's metadata is returned, the file itself is streamed separately through the invoice-file endpoint
+            //* instead of being read into memory and encoded to base64.
+            let fileType = await this._getFileType(`${this._invoiceFolderPath}/${invoiceName}`, invoiceStat);
+            return [invoiceName, {size: invoiceStat.size, modifiedAt: invoiceStat.mtime, mimeType: fileType?.mimeType ?? unknownMimeType}, leaseExpiresAt];
+        } catch (error) {
+            console.error(error);
+            throw error;
+        }
+    }
+
+    /**
+    * @method Lists every file waiting within the invoice directory along with its metadata, sorted, filtered and paginated using the passed in query parameters.
+    * @param {object} listQueryParameters - Query parameters containing the sortBy ('name', 'date' or 'size'), order ('asc' or 'desc'), search, extension, cursor and limit values.
+    * @param {Set} taggedContentHashes - If set, only invoices whose content hash is within the set are listed, used to filter the invoices by tag.
+    * @returns an object containing the page of invoices, the total number of matching invoices, and the cursor for the next page, or null if there are no more pages.
+    */
+    async listInvoices(listQueryParameters, taggedContentHashes = null) {
+        let { sortBy = 'name', order = 'asc', search, extension, cursor, limit } = listQueryParameters;
+
+        let sortKeys = {name: 'name', date: 'modifiedAt', size: 'size'};
+        if (!sortKeys[sortBy]) throw new Error(`Invalid sortBy value ${sortBy}!`, {cause: 'invalidQuery'});
+        if (order != 'asc' && order != 'desc') throw new Error(`Invalid order value ${order}!`, {cause: 'invalidQuery'});
+        //? Limits the page size to between 1 and 200, defaulting to 50.
+        let pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+        //? Gathers the metadata of every regular file within the invoice directory from the inbox watcher's index,
+        //? which rereads the folder's names but only stats and sniffs the files that are new or changed since they were last listed.
+        await this._inboxWatcher.rescan();
+        let invoices = this._inboxWatcher.getInvoiceDetails().map(invoiceDetails => ({...invoiceDetails, isClaimed: this._isLeasedByAnotherUser(invoiceDetails.name, null)}));
+
+        //? Filters by a case insensitive name substring and by extension, if either were passed in.
+        if (search) invoices = invoices.filter(invoice => invoice.name.toLowerCase().includes(search.toLowerCase()));
+        if (extension) invoices = invoices.filter(invoice => invoice.extension == extension.replace(/^\./, '').toLowerCase());
+        //? Filters by tag when the content hashes of the tagged invoices were passed in, which is left until last since it needs the hash of every remaining invoice.
+        //? Hashes are taken from the content hash index while the watcher's size and modified time still match, so only new or changed invoices are read.
+        if (taggedContentHashes) {
+            let taggedInvoices = [];
+            for (const invoice of invoices) {
+                let invoicePath = `${this._invoiceFolderPath}/${invoice.name}`;
+                //* An invoice removed since the folder was read is left out rather than failing the whole list.
+                let contentHash = this._contentHashIndex?.getIndexedHash(invoicePath, invoice) ?? await this._getContentHash(invoicePath).catch(() => null);
+                if (taggedContentHashes.has(contentHash)) taggedInvoices.push(invoice);
+            }
+            invoices = taggedInvoices;
+        }
+
+        //* The file name is used as a tie breaker so that the order is stable between requests, which the cursor depends on.
+        let sortKey = sortKeys[sortBy];
+        let direction = order == 'asc' ? 1 : -1;
+        let compareInvoices = (a, b) => {
+            if (a[sortKey] < b[sortKey]) return -direction;
+            if (a[sortKey] > b[sortKey]) return direction;
+            return a.name < b.name ? -direction : a.name > b.name ? direction : 0;
+        };
+        invoices.sort(compareInvoices);
+
+        //? The cursor is the encoded sort value and name of the last invoice on the previous page, and the next page starts at the first invoice after it.
+        let startIndex = 0;
+        if (cursor) {
+            let cursorInvoice;
+            try {
+                cursorInvoice = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+            } catch (error) {
+                throw new Error('Invalid cursor!', {cause: 'invalidQuery'});
+            }
+            startIndex = invoices.findIndex(invoice => compareInvoices(invoice, cursorInvoice) > 0);
+            if (startIndex == -1) startIndex = invoices.length;
+        }
+
+        let invoicePage = invoices.slice(startIndex, startIndex + pageSize);
+        let lastInvoice = invoicePage[invoicePage.length - 1];
+        let nextCursor = null;
+        if (startIndex + pageSize < invoices.length) {
+            nextCursor = Buffer.from(JSON.stringify({name: lastInvoice.name, [sortKey]: lastInvoice[sortKey]})).toString('base64url');
+        }
+
+        return {
+            invoices: invoicePage.map(invoice => ({...invoice, modifiedAt: new Date(invoice.modifiedAt)})),
+            total: invoices.length,
+            nextCursor
+        };
+    }
+
+    /**
+    * @method Resolves the absolute path of an invoice within the invoice directory so that it can be streamed to the client.
+    * @param {string} invoiceName - File name of the invoice within the invoice directory.
+    * @returns the absolute path string of the invoice.
+    */
+    async getInvoiceFilePath(invoiceName) {
+        //! Only files directly within the invoice directory can be streamed.
+        let invoicePath = this._resolveInvoicePath(invoiceName);
+        if (!(await this._checkPath(invoicePath)) || !(await this._storage.stat(invoicePath)).isFile()) throw new Error(`Invoice ${invoiceName} was not found in invoice directory.`, {cause: 'invalidInvoice'});
+
+        return invoicePath;
+    }
+
+    /**
+    * @method Reads the text of an invoice and suggests which directory and year it should be sorted into, caching the result by the file's name, size and modified time.
+    * @param {string} invoiceName - File name of the invoice within the invoice directory.
+    * @returns an object containing the invoice's text lines and its suggestions.
+    */
+    async _readInvoiceText(invoiceName) {
+        let invoicePath = this._resolveInvoicePath(invoiceName);
+        let invoiceStat = await this._storage.stat(invoicePath);
+
+        let cacheKey = `${invoiceName}:${invoiceStat.size}:${invoiceStat.mtimeMs}`;
+        if (this._suggestionCache.has(cacheKey)) return this._suggestionCache.get(cacheKey);
+
+        //? Only pdfs have a text layer to read, and very large files are skipped to avoid holding them in memory.
+        let textLines = [];
+        if ((await this._getFileType(invoicePath, invoiceStat))?.extension == 'pdf' && invoiceStat.size <= maxSuggestionFileSize) {
+            textLines = await extractPdfTextLines(await this._storage.readFile(invoicePath));
+        }
+
+        let invoiceText = {textLines, suggestions: suggestInvoiceDestination(textLines, this._directoryIndex.getEntries())};
+
+        //* Removes the oldest cached text once the cache is full, maps iterate in insertion order.
+        this._suggestionCache.set(cacheKey, invoiceText);
+        if (this._suggestionCache.size > maxCachedSuggestions) this._suggestionCache.delete(this._suggestionCache.keys().next().value);
+
+        return invoiceText;
+    }
+
+    /**
+    * @method Reads the text of an invoice and suggests which directory and year it should be sorted into.
+    * @param {string} invoiceName - File name of the invoice within the invoice directory.
+    * @returns an object containing the ranked directory suggestions, the suggested year, and the dates and invoice numbers found, or null if the suggestions could not be generated.
+    */
+    async getInvoiceSuggestions(invoiceName) {
+        try {
+            return (await this._readInvoiceText(invoiceName)).suggestions;
+        } catch (error) {
+            console.error(error);
+            return null;
+        }
+    }
+
+    /**
+    * @method Describes where a file is located within the page's main directories.
+    * @param {string} filePath - Absolute path to the file.
+    * @returns an object containing the file's location ('inbox' or 'directory'), its path relative to that location, and for stored invoices, the directoryFolderPath, year and invoiceName.
+    */
+    _describeFileLocation(filePath) {
+        let invoiceRelativePath = path.relative(path.resolve(this._invoiceFolderPath), filePath);
+        if (!invoiceRelativePath.startsWith('..')) return {location: 'inbox', path: invoiceRelativePath.split(path.sep).join('/'), invoiceName: path.basename(filePath)};
+
+        let pathSegments = path.relative(path.resolve(this._directoriesFolderPath), filePath).split(path.sep);
+        let fileLocation = {location: 'directory', path: pathSegments.join('/'), invoiceName: path.basename(filePath)};
+        //* Invoices sorted through the api are always stored as letter/customer/year/invoice, but files placed by hand can be anywhere.
+        if (pathSegments.length == 4) Object.assign(fileLocation, {directoryFolderPath: `${pathSegments[0]}/${pathSegments[1]}`, year: pathSegments[2]});
+        return fileLocation;
+    }
+
+    /**
+    * @method Finds every other file within the page's main directories with the same content as the passed in file.
+    * @param {string} filePath - Absolute path to the file.
+    * @returns an array of the locations of the matching files, which is empty if the file could not be hashed.
+    */
+    async findDuplicateLocations(filePath) {
+        try {
+            if (!this._contentHashIndex) return [];
+            return (await this._contentHashIndex.getMatchingFiles(filePath)).map(matchingPath => this._describeFileLocation(matchingPath));
+        } catch (error) {
+            console.error(error);
+            return [];
+        }
+    }
+
+    /**
+    * @method Finds every other file with the same content as an invoice within the invoice directory.
+    * @param {string} invoiceName - File name of the invoice within the invoice directory.
+    * @returns an array of the locations of the matching files.
+    */
+    async getInvoiceDuplicates(invoiceName) {
+        return await this.findDuplicateLocations(this._resolveInvoicePath(invoiceName));
+    }
+
+    /**
+    * @method Hashes a file's content, reusing the hash from the content hash index if the file has not changed since it was indexed.
+    * @param {string} filePath - Absolute path to the file.
+    * @returns the hex encoded sha256 hash of the file.
+    */
+    async _getContentHash(filePath) {
+        return (await this._contentHashIndex?.updateFile(filePath)) ?? await this._hashFile(filePath);
+    }
+
+    /**
+    * @method Hashes an invoice's content, which identifies the invoice wherever it is moved, used to look up the tags and notes attached to it.
+    * @param {object} invoiceLocation - Object containing the invoiceName, along with the directoryFolderPath and year if the invoice is stored within a customer directory.
+    * @returns the hex encoded sha256 hash of the invoice, otherwise an invalidInvoice error is thrown if it does not exist.
+    */
+    async getInvoiceContentHash(invoiceLocation) {
+        let { directoryFolderPath, year, invoiceName } = invoiceLocation;
+        let invoicePath = directoryFolderPath || year
+            ? await this.getStoredInvoiceFilePath({directoryFolderPath, year, invoiceName})
+            : await this.getInvoiceFilePath(invoiceName);
+        return await this._getContentHash(invoicePath);
+    }
+
+    /**
+    * @method Lists every group of files within the page's main directories that share the same content.
+    * @returns an object containing the duplicate groups, whether every file has been hashed yet, and the number of redundant copies.
+    */
+    getDuplicateReport() {
+        let duplicateGroups = this._contentHashIndex?.getDuplicateGroups() ?? [];
+        return {
+            isIndexComplete: this._contentHashIndex?.isComplete ?? false,
+            duplicateGroups: duplicateGroups.map(({ hash, size, filePaths }) => ({hash, size, files: filePaths.map(filePath => this._describeFileLocation(filePath))})),
+            redundantFileCount: duplicateGroups.reduce((count, { filePaths }) => count + filePaths.length - 1, 0)
+        };
+    }
+
+    /**
+    * @method Confirms that the invoice and directories folders can still be read and written, by listing each and writing then removing a hidden file within it.
+    * Used by the readiness check, since a share can unmount or become read only long after the page was loaded.
+    * @returns an array of strings describing every problem found, which is empty if the page is ready.
+    */
+    async getReadinessProblems() {
+        let readinessProblems = [];
+        for (const [folderDescription, folderPath] of [['Invoice directory', this._invoiceFolderPath], ['Directories folder', this._directoriesFolderPath]]) {
+            let probePath = `${folderPath}/.ready-check-${randomUUID()}`;
+            try {
+                await this._storage.readdir(folderPath);
+                await this._storage.writeFile(probePath, '');
+                await this._storage.rm(probePath);
+            } catch (error) {
+                //* Only the error code is reported, so that the check does not expose the page's paths.
+                readinessProblems.push(`${folderDescription} is not accessible and writable - ${error.code ?? 'Unknown Error'}.`);
+                await this._storage.rm(probePath, {force: true}).catch(() => {});
+            }
         }
-    } 
+        return readinessProblems;
+    }
 
     /**
-    * @method Determines if the passed path strings in the passed in array are valid paths. 
-    * @param {Array} pathArray - An array of paths strings that will be verified.
-    * @returns an array containing a boolean, true if the array contains all valid paths and false if one or more paths are invalid, and if an invalid path is found, the invalid path string is returned
-    * in teh array, otherwise this value will be null.
+    * @method Walks the directories folder looking for anything that does not follow the letter/customer/year layout, so that it can be cleaned up by hand.
+    * Hidden files are skipped, since those are left by moves and uploads that are still in progress.
+    * @returns an object containing the missing letter folders, stray files found beside the letter folders or customer directories,
+    * subfolders of customer directories that are not named after a year, and customer directories that do not contain any invoices, each as a path relative to the directories folder.
     */
-    async _validatePaths(pathArray) {
-        try {
-            for (const path of pathArray) {
-                if (!(await this._checkPath(path))) {
-                    throw new Error(path);
+    async getConsistencyReport() {
+        let consistencyReport = {missingLetterFolders: [], strayFiles: [], nonYearFolders: [], emptyDirectories: []};
+
+        let rootEntries = (await this._storage.readdir(this._directoriesFolderPath)).filter(entry => !entry.name.startsWith('.'));
+        let rootFolderNames = new Set(rootEntries.filter(entry => entry.isDirectory()).map(entry => entry.name));
+        consistencyReport.missingLetterFolders = letterFolderNames.filter(letterFolder => !rootFolderNames.has(letterFolder));
+        consistencyReport.strayFiles.push(...rootEntries.filter(entry => entry.isFile()).map(entry => entry.name));
+
+        for (const letterFolder of letterFolderNames.filter(letterFolder => rootFolderNames.has(letterFolder))) {
+            for (const directoryEntry of await this._storage.readdir(`${this._directoriesFolderPath}/${letterFolder}`)) {
+                if (directoryEntry.name.startsWith('.')) continue;
+                let directoryFolderPath = `${letterFolder}/${directoryEntry.name}`;
+                if (!directoryEntry.isDirectory()) {
+                    consistencyReport.strayFiles.push(directoryFolderPath);
+                    continue;
                 }
-            }
 
-            return [true, null];
-        } catch ({message: invalidPath}) {
-            return [false, invalidPath]
+                //? A customer directory is only empty if it holds nothing besides year folders that are themselves empty.
+                let isDirectoryEmpty = true;
+                for (const entry of await this._storage.readdir(`${this._directoriesFolderPath}/${directoryFolderPath}`)) {
+                    if (entry.name.startsWith('.')) continue;
+                    if (entry.isDirectory() && !/^\d{4}$/.test(entry.name)) consistencyReport.nonYearFolders.push(`${directoryFolderPath}/${entry.name}`);
+                    if (!entry.isDirectory() || !/^\d{4}$/.test(entry.name)) {
+                        isDirectoryEmpty = false;
+                        continue;
+                    }
+
+                    let yearFolderContents = await this._storage.readdir(`${this._directoriesFolderPath}/${directoryFolderPath}/${entry.name}`);
+                    if (yearFolderContents.some(yearEntry => !yearEntry.name.startsWith('.'))) isDirectoryEmpty = false;
+                }
+                if (isDirectoryEmpty) consistencyReport.emptyDirectories.push(directoryFolderPath);
+            }
         }
+
+        let issueCount = Object.values(consistencyReport).reduce((count, issues) => count + issues.length, 0);
+        return {isConsistent: !issueCount, issueCount, ...consistencyReport};
     }
 
-    async _moveFile(sourcePath, destinationPath) {
-        try {
-            //? Checks the source and destination path strings.
-                //* Source path should be a valid path and destination path should not be.
-            if (!(await this._checkPath(sourcePath))) throw new Error(`SourcePathInvalid`);
-            if (await this._checkPath(destinationPath)) throw new Error(`DestinationPathAlreadyInUse`);
+    /**
+    * @method Adds uploaded files to the invoice directory. Each file's content is checked to be an accepted invoice type, then the file is written under a hidden
+    * temporary name and renamed into place, so that a partially written invoice is never handed to a user.
+    * @param {Array} uploadedFiles - An array of objects, each containing an upload's originalName, size and the tempPath it was received to.
+    * @returns an array of three items, a boolean to signify if every file was stored, a string describing the outcome, and an array containing the result of each file.
+    */
+    async addInvoices(uploadedFiles) {
+        let uploadResults = [];
+        for (const { originalName, size, tempPath } of uploadedFiles) {
+            let stagingPath = null;
+            try {
+                this._validatePathSegment(originalName, 'file name');
 
-            //? Attempts to copy the file from the sourcePath to the destinationPath, if the copy action fails an error is thrown 
-            //? with an appropriate message and cause identifier.
-            let hasFileCopyFailed = await fs.copyFile(sourcePath, destinationPath);
-            if (hasFileCopyFailed) throw new Error(`failedToCopyFile`)
-                
-            //? Attempts to delete the file that the sourcePath points to, if the deletion action fails an error is thrown 
-            //? with an appropriate message and cause identifier.
-            let hasFileDeletionFailed = await fs.rm(sourcePath);
-            if (hasFileDeletionFailed) throw new Error(`failedToDeleteFile`)
+                //! The content is checked rather than the extension, since the extension alone can not be trusted.
+                let fileType = await detectFileTypeFromPath(tempPath);
+                if (!fileType) throw new Error(`${originalName} is not an accepted invoice type.`, {cause: 'invalidUpload'});
+                if (!extensionMatchesType(originalName, fileType)) throw new Error(`${originalName}'s extension does not match its ${fileType.extension} content.`, {cause: 'invalidUpload'});
 
-            // Returns true if the process successfully executed
-            return [true, null]
-        } catch (error) {
-            // If any error is thrown or occurs, false is returned and the error's message.
-            return [false, error.message]
-        }
-    }
+                stagingPath = path.join(this._invoiceFolderPath, `.upload-${randomUUID()}`);
+                await this._storage.copyFromLocal(tempPath, stagingPath);
 
-    async getAllDirectories() {
-        try {
-            //? First gathers the various letter folders within the directories folder
-            if (!(await this._checkPath(this._directoriesFolderPath))) throw new Error('Directories Folder path is invalid.');
-            let alphabetFolders = await fs.readdir(this._directoriesFolderPath);
-            let allDirectories = [];
-            //? Iterates through all of the letter folders
-            for await (const letter of alphabetFolders) {
-                //* If the name of the folder is longer than one character, then it is not a letter folder and can be skipped over.
-                if (letter.length > 1) continue;
-                //? Appends an array of all folder names within the current letter folder
-                let directoryContents = await fs.readdir(`${this._directoriesFolderPath}/${letter}`);
-                allDirectories.push(directoryContents);
+                //? Picks a free file name and renames the upload to it in a single queued step, so concurrent uploads can not overwrite one another.
+                let [invoicePath, invoiceName] = await this._queueInvoiceWrite(async () => {
+                    let [newInvoicePath, newInvoiceName] = await this._checkInvoiceFileName(this._invoiceFolderPath, originalName);
+                    await this._storage.rename(stagingPath, newInvoicePath);
+                    return [newInvoicePath, newInvoiceName];
+                });
+                stagingPath = null;
+
+                let duplicateLocations = await this.findDuplicateLocations(invoicePath);
+                let uploadMessage = `Upload Successful - ${originalName} stored as ${invoiceName}.`;
+                if (duplicateLocations.length) uploadMessage += `\nWarning - Identical invoice already exists at ${duplicateLocations.map(location => location.path).join(', ')}.`;
+                uploadResults.push({originalName, isSuccessful: true, invoiceName, size, mimeType: fileType.mimeType, message: uploadMessage, duplicates: duplicateLocations});
+            } catch (error) {
+                if (error.cause != 'invalidPath' && error.cause != 'invalidUpload') console.error(error);
+                if (stagingPath) await this._storage.rm(stagingPath, {force: true}).catch(rmError => console.error(rmError));
+                uploadResults.push({originalName, isSuccessful: false, invoiceName: null, size, message: `Upload Failed - ${error.message}`});
             }
-            
-            //* Returns the array in alphabetical order of all the directory names within each letter folder.
-            return allDirectories;
-        } catch (error) {
-            console.error(error);
         }
+
+        let failedCount = uploadResults.filter(uploadResult => !uploadResult.isSuccessful).length;
+        if (!failedCount) return [true, `Upload Successful - ${uploadResults.length} invoices added.`, uploadResults];
+        return [false, `Upload Partially Failed - ${failedCount} of ${uploadResults.length} invoices failed to upload.`, uploadResults];
     }
 
-    async getInvoice(requestQueryParameters) {
-        try {
-            //? Reads the folder where all the invoice are located and looks for the first invoice in the list and saves it path as a string.
-            let invoiceFolder = await fs.readdir(this._invoiceFolderPath);
-            
-            let invoicePath = '';
-            let invoiceName = '';
-            let offset = 0;
-            let invoiceStat;
-            do {
-                if (invoiceFolder.length <= offset) throw new Error('No Valid Files Within Invoice Directory.');
-                invoicePath = `${this._invoiceFolderPath}/${invoiceFolder[offset]}`;
-                invoiceName = invoiceFolder[offset]
-                offset++;
-                invoiceStat = await fs.stat(invoicePath)
-            } while (!invoiceStat.isFile());
-    
-            //* Reads the file and saves it output and encodes it to base64 to convert the binary data to readable text
-            //* that the webpages can handle,
-                //! skipping this step resulted in the binary data becoming corrupted once it was received by the client.
-            let fileStream = await fs.readFile(invoicePath)
-    
-            let encodedFileStream = fileStream.toString('base64')
-    
-            return [invoiceName, encodedFileStream];
-        } catch (error) {
-            console.error(error);
-            throw error;
+    _queueInvoiceWrite(writeTask) {
+        let writeResult = this._invoiceWriteQueue.then(writeTask);
+        //* A failed write should not stop the writes queued after it.
+        this._invoiceWriteQueue = writeResult.catch(() => {});
+        return writeResult;
+    }
+
+    /**
+    * @method Releases the user's lease on an invoice so that it can be given to other users.
+    * @param {string} invoiceName - File name of the invoice within the invoice directory.
+    * @param {number} userId - Database id of the user releasing the invoice.
+    * @returns an array containing a boolean, true if the lease was released, and a string describing the outcome.
+    */
+    releaseInvoice(invoiceName, userId) {
+        let lease = this._invoiceLeases.get(invoiceName);
+        if (!lease || lease.userId != userId) return [false, `Release Failed - Invoice ${invoiceName} is not claimed by the current user.`];
+
+        this._invoiceLeases.delete(invoiceName);
+        return [true, `Release Successful - Invoice ${invoiceName} has been released.`];
+    }
+
+    /**
+    * @method Extends the user's lease on an invoice they currently hold.
+    * @param {string} invoiceName - File name of the invoice within the invoice directory.
+    * @param {number} userId - Database id of the user renewing the lease.
+    * @returns an array containing a boolean, true if the lease was renewed, a string describing the outcome, and the new expiration timestamp.
+    */
+    renewInvoiceLease(invoiceName, userId) {
+        if (this._isLeasedByAnotherUser(invoiceName, userId) || !this._invoiceLeases.has(invoiceName)) {
+            return [false, `Renewal Failed - Invoice ${invoiceName} is not claimed by the current user.`, null];
         }
+
+        let expiresAt = this._leaseInvoice(invoiceName, userId);
+        return [true, `Renewal Successful - Invoice ${invoiceName} has been renewed.`, expiresAt];
     }
 
     async _checkForYearFolder(directoryFolderPath, year) {
         try {
             let directoryYearPath = `${directoryFolderPath}/${year}`
             if (!(await this._checkPath(directoryYearPath))) {
-                let hasCreationFailed = await fs.mkdir(directoryYearPath);
+                let hasCreationFailed = await this._storage.mkdir(directoryYearPath);
                 if (hasCreationFailed) throw new Error(`Failed to make a ${year} year directory within ${directoryFolderPath}.`)
             }
 
@@ -216,22 +1216,21 @@ export class FileSystem {
             //? Checks that said path does not already exists, and if not, the new path string is returned.
             if (!(await this._checkPath(newInvoicePath))) return [newInvoicePath, invoiceName];
             
-            //* Creates the regex pattern for find the copy indicator for a file.
-            let copyPattern = /\((\d+)\)/ // Searches for () and captures the numbers between them.
+            //* Splits the copy indicator, a number within brackets at the end of the name, from the rest of the name and its extension, which can be any type.
+            let extension = path.extname(invoiceName);
+            let [, baseName, copyNumber] = invoiceName.slice(0, invoiceName.length - extension.length).match(/^(.*?)(?:\((\d+)\))?$/);
+            //? The first copy starts at 2, separated from the name by a space, while a name that already has a copy indicator has its count incremented.
+            if (copyNumber === undefined) baseName = `${baseName} `;
+            copyNumber = parseInt(copyNumber ?? 1);
 
             do {
-                //? Checks if the file already has the copy indicator, and if not it appends it right before the file extension, and the value starts at 2.
-                if (!copyPattern.test(invoiceName)) {
-                    invoiceName = `${invoiceName.substring(0, invoiceName.lastIndexOf('.'))} (2).pdf`
-                } else {
-                    //? If the copy pattern is already appended to the file, then increment its count by one.
-                    invoiceName = invoiceName.replace(copyPattern, (_, copyNumber) => `(${parseInt(copyNumber) + 1})`)
-                }
+                copyNumber++;
+                invoiceName = `${baseName}(${copyNumber})${extension}`;
                 //? Concatenates the new path.
                 newInvoicePath = `${folderPath}/${invoiceName}`;
                 //* Runs the while loop so long as the new path string already points to a file.
             } while ((await this._checkPath(newInvoicePath)));
-            
+
 
             //? Once the while loop stops running, the new path string should be unique and can be returned to allow the storing of said invoice without overwriting another one.
             return [newInvoicePath, invoiceName];
@@ -240,16 +1239,93 @@ export class FileSystem {
         }
     }
     
-    async sortFile(queries) {
+    /**
+    * @method Converts a scanned image within the invoice directory into a pdf when the page is set to convert images, writing the pdf under a hidden name until it is sorted.
+    * @param {string} invoiceFilePath - Absolute path to the invoice.
+    * @param {string} invoiceName - File name of the invoice within the invoice directory.
+    * @returns an array of four items, the path and name of the file that should be sorted, which are the invoice's own if it was not converted, a message describing the conversion,
+    * and if it was converted, an array containing the content hashes of the image and the pdf, otherwise null.
+    */
+    async _prepareInvoiceForSort(invoiceFilePath, invoiceName) {
+        if (!this._convertImagesToPdf) return [invoiceFilePath, invoiceName, '', null];
+
+        let invoiceStat = await this._storage.stat(invoiceFilePath);
+        let fileType = await this._getFileType(invoiceFilePath, invoiceStat);
+        if (!fileType?.isImage) return [invoiceFilePath, invoiceName, '', null];
+        if (invoiceStat.size > maxConversionFileSize) return [invoiceFilePath, invoiceName, `\nWarning - ${invoiceName} is too large to convert to a pdf and was stored as is.`, null];
+
+        let convertedFilePath = `${this._invoiceFolderPath}/.convert-${randomUUID()}.pdf`;
+        let convertedContentHashes;
+        try {
+            let imageData = await this._storage.readFile(invoiceFilePath);
+            let pdfData = await convertImageToPdf(imageData, fileType);
+            await this._storage.writeFile(convertedFilePath, pdfData);
+            //* Both hashes are returned so that the invoice's tags and notes can be moved from the image to the pdf.
+            convertedContentHashes = [imageData, pdfData].map(fileData => createHash('sha256').update(fileData).digest('hex'));
+        } catch (error) {
+            //* An image that can not be converted, such as a damaged scan, is stored as is rather than being left in the invoice directory.
+            console.error(error);
+            await this._storage.rm(convertedFilePath, {force: true}).catch(rmError => console.error(rmError));
+            return [invoiceFilePath, invoiceName, `\nWarning - ${invoiceName} could not be converted to a pdf and was stored as is.`, null];
+        }
+
+        let convertedFileName = `${invoiceName.slice(0, invoiceName.length - path.extname(invoiceName).length)}.pdf`;
+        return [convertedFilePath, convertedFileName, `\n${invoiceName} was converted to a pdf.`, convertedContentHashes];
+    }
+
+    /**
+    * @method Moves the original of an image that was converted to a pdf into the converted originals folder, so that undoing the sort can return it.
+    * The time it was kept is written into its name, since moving a file keeps its modified time.
+    * @param {string} invoiceFilePath - Absolute path to the image within the invoice directory.
+    * @returns the kept original's file name, or null if it could not be kept, in which case the image is removed.
+    */
+    async _keepConvertedOriginal(invoiceFilePath) {
+        let originalName = `${Date.now()}-${randomUUID()}${path.extname(invoiceFilePath).toLowerCase()}`;
+        try {
+            await this._storage.mkdir(this._convertedOriginalsFolderPath, {recursive: true});
+            await this._storage.rename(invoiceFilePath, `${this._convertedOriginalsFolderPath}/${originalName}`);
+            return originalName;
+        } catch (error) {
+            console.error(error);
+            await this._storage.rm(invoiceFilePath, {force: true}).catch(rmError => console.error(rmError));
+            return null;
+        } finally {
+            this._contentHashIndex?.removeFile(invoiceFilePath);
+        }
+    }
+
+    /**
+    * @method Removes the kept originals of converted images that are older than the page's retention period.
+    * @returns {void}
+    */
+    async _pruneConvertedOriginals() {
+        try {
+            if (!(await this._checkPath(this._convertedOriginalsFolderPath))) return;
+
+            let oldestKeptAt = Date.now() - this._convertedOriginalRetentionDays * 24 * 60 * 60 * 1000;
+            for (const entry of await this._storage.readdir(this._convertedOriginalsFolderPath)) {
+                let keptAt = parseInt(entry.name);
+                if (entry.isFile() && keptAt < oldestKeptAt) await this._storage.rm(`${this._convertedOriginalsFolderPath}/${entry.name}`, {force: true});
+            }
+        } catch (error) {
+            console.error(error);
+        }
+    }
+
+    async sortFile(queries, userId) {
         //? Separates the query parameters that were passed with the fetch call. These are declared in the function's body to allow access to these values from the catch statement in case of an error occuring.
         let {directoryFolderPath, directoryName, invoiceName, year} = queries;
         //? Initializes the newInvoiceName variable in the function's body for the same reason listed above to better determine when in the process an error is occurring.
         let newInvoiceName = null;
         try {
+            //! An invoice claimed by another user cannot be sorted until their lease is released or expires.
+            if (this._isLeasedByAnotherUser(invoiceName, userId)) throw new Error(`Invoice ${invoiceName} is claimed by another user.`);
     
             //? Construct the folder paths for the storage directory and the invoice using the base paths specified.
-            let invoiceFilePath = `${this._invoiceFolderPath}/${invoiceName}`;
-            let directoryFolderAbsolutePath = `${this._directoriesFolderPath}/${directoryFolderPath}`;
+                //! Every passed in value is validated, and an invalidPath error is thrown if any of them would lead outside of the main directories.
+            let invoiceFilePath = this._resolveInvoicePath(invoiceName);
+            let directoryFolderAbsolutePath = this._resolveDirectoryFolderPath(directoryFolderPath);
+            this._validateYear(year);
             
             //? Validate the invoice and storage directory folder path constructed above.
             let [arePathsValid, invalidPath] = await this._validatePaths([directoryFolderAbsolutePath, invoiceFilePath])
@@ -260,14 +1336,39 @@ export class FileSystem {
             let [isYearFolderCreated, yearFolderCheckResult] = await this._checkForYearFolder(directoryFolderAbsolutePath, year);
             if (!isYearFolderCreated) throw new Error(yearFolderCheckResult);
 
+            //? Converts a scanned image into a pdf first if the page is set to, in which case the pdf is sorted in place of the image.
+            let [sortedFilePath, sortedFileName, conversionMessage, convertedContentHashes] = await this._prepareInvoiceForSort(invoiceFilePath, invoiceName);
+
             //? Cycles through the storage directory to check if the current invoice name is already in use, and if so, cycles through copy numbers until an unused file name is found.
             //* Once the new path is found, deconstruction is used to assign the new path and the new invoice name to variables.
-            let invoiceToDirectory;
-            [invoiceToDirectory, newInvoiceName] = await this._checkInvoiceFileName(yearFolderCheckResult, invoiceName);
-            
-            let [isFileMoved, fileMoveErrorCause] = await this._moveFile(invoiceFilePath, invoiceToDirectory);
+            let invoiceToDirectory, isFileMoved, fileMoveErrorCause, convertedOriginalName;
+            try {
+                [invoiceToDirectory, newInvoiceName] = await this._checkInvoiceFileName(yearFolderCheckResult, sortedFileName);
+                [isFileMoved, fileMoveErrorCause] = await this._moveFile(sortedFilePath, invoiceToDirectory);
+            } finally {
+                //? Once the converted pdf has been sorted the image is kept so that the sort can be undone, otherwise the unused pdf is removed and the image is left to be sorted again.
+                if (sortedFilePath != invoiceFilePath) {
+                    if (isFileMoved) convertedOriginalName = await this._keepConvertedOriginal(invoiceFilePath);
+                    else await this._storage.rm(sortedFilePath, {force: true}).catch(rmError => console.error(rmError));
+                }
+            }
+
             if (isFileMoved) {
-                return [true, `Transfer Successful - ${newInvoiceName} moved to ${directoryName}.`, {oldInvoiceName: invoiceName, newInvoiceName, directoryFolderPath, directoryName, year}];
+                //* The invoice has left the invoice directory, so its lease is no longer needed.
+                this._invoiceLeases.delete(invoiceName);
+
+                //? Warns the user if the same content was already stored elsewhere, which usually means the invoice was scanned twice.
+                let duplicateLocations = await this.findDuplicateLocations(invoiceToDirectory);
+                let transferMessage = `Transfer Successful - ${newInvoiceName} moved to ${directoryName}.${conversionMessage}`;
+                if (convertedOriginalName) transferMessage += `\nThe original image is kept for ${this._convertedOriginalRetentionDays} days, until then undoing the transfer returns the image instead of the pdf.`;
+                else if (sortedFilePath != invoiceFilePath) transferMessage += `\nWarning - The original image could not be kept, so undoing the transfer will return the pdf.`;
+                if (duplicateLocations.length) transferMessage += `\nWarning - Identical invoice already exists at ${duplicateLocations.map(location => location.path).join(', ')}.`;
+
+                let undoInfo = {oldInvoiceName: invoiceName, newInvoiceName, directoryFolderPath, directoryName, year};
+                if (convertedOriginalName) undoInfo.convertedOriginalName = convertedOriginalName;
+                //* Identical copies of the image share its tags and notes, so they are copied to the pdf rather than moved while another copy is still indexed.
+                if (convertedContentHashes) convertedContentHashes.push(this._contentHashIndex?.hasContent(convertedContentHashes[0]) ?? false);
+                return [true, transferMessage, undoInfo, duplicateLocations, convertedContentHashes];
             } else {
                 switch (fileMoveErrorCause) {
                     case 'SourcePathInvalid': {
@@ -285,17 +1386,207 @@ export class FileSystem {
                     case 'failedToDeleteFile': {
                         throw new Error('Failed to remove invoice from original location!');
                         break;
-                    }   
+                    }
+                    default: {
+                        throw new Error(`Failed to transfer invoice - ${fileMoveErrorCause}.`);
+                    }
                 }
             }
         } catch (error) {
             console.error(error)
+            //* Invalid paths are passed on to the endpoint so that they can be reported as a bad request.
+            if (error.cause == 'invalidPath') throw error;
             let transferFailedMessage = `Transfer Failed - ${invoiceName} failed to transfer to ${directoryName}.`
             if (newInvoiceName && newInvoiceName != invoiceName) transferFailedMessage += `\nAttempted to rename ${invoiceName} to ${newInvoiceName}.`
             return [false, transferFailedMessage];
         }
     }
 
+    /**
+    * @method Sorts multiple invoices in a single call by running each entry through sortFile in order.
+    * @param {Array} sortEntries - An array of objects, each containing the invoiceName, directoryFolderPath, directoryName and year of an invoice to sort.
+    * @param {number} userId - Database id of the user sorting the invoices.
+    * @param {boolean} isAllOrNothing - If true, once an entry fails all previously moved invoices are returned to the invoice directory and the remaining entries are skipped.
+    * @returns an array of three items, a boolean to signify if every entry was successful, a string describing the outcome, and an array containing the result of each entry.
+    */
+    async sortFiles(sortEntries, userId, isAllOrNothing = false) {
+        //! Every entry's paths are validated before any invoice is moved, so an invalid entry rejects the whole batch.
+        for (const { invoiceName, directoryFolderPath, year } of sortEntries) {
+            this._resolveInvoicePath(invoiceName);
+            this._resolveDirectoryFolderPath(directoryFolderPath);
+            this._validateYear(year);
+        }
+
+        let entryResults = [];
+        let hasEntryFailed = false;
+
+        for (const sortEntry of sortEntries) {
+            //? When running in all or nothing mode, entries after a failed one are not attempted.
+            if (hasEntryFailed && isAllOrNothing) {
+                entryResults.push({invoiceName: sortEntry.invoiceName, isSuccessful: false, message: `Transfer Skipped - ${sortEntry.invoiceName} was not transferred since a previous invoice failed.`, undoInfo: null});
+                continue;
+            }
+
+            let [isSuccessful, transferMessage, undoObj, duplicateLocations, convertedContentHashes] = await this.sortFile(sortEntry, userId);
+            //* The converted content hashes are kept even if the entry is rolled back, since the invoice is returned as the pdf.
+            entryResults.push({invoiceName: sortEntry.invoiceName, isSuccessful, message: transferMessage, undoInfo: undoObj ?? null, duplicates: duplicateLocations ?? [], convertedContentHashes: convertedContentHashes ?? null});
+            if (!isSuccessful) hasEntryFailed = true;
+        }
+
+        if (!hasEntryFailed) return [true, `Batch Transfer Successful - ${entryResults.length} invoices transferred.`, entryResults];
+        if (!isAllOrNothing) {
+            let failedCount = entryResults.filter(entryResult => !entryResult.isSuccessful).length;
+            return [false, `Batch Transfer Partially Failed - ${failedCount} of ${entryResults.length} invoices failed to transfer.`, entryResults];
+        }
+
+        //? Rolls back the invoices that were already moved, starting with the most recent, so that the batch leaves the directories as they were.
+        let rollbackFailures = [];
+        for (const entryResult of [...entryResults].reverse()) {
+            if (!entryResult.isSuccessful) continue;
+
+            let [isUndone, undoMessage, , restoredContentHashes] = await this.undoPreviousAction('File Transfer', entryResult.undoInfo);
+            if (isUndone) {
+                //* The original image was returned, so the invoice's tags and notes stay on the image.
+                if (restoredContentHashes) entryResult.convertedContentHashes = null;
+                entryResult.isSuccessful = false;
+                entryResult.message = `Transfer Rolled Back - ${entryResult.invoiceName} was returned to the invoice directory.`;
+                entryResult.undoInfo = null;
+            } else {
+                rollbackFailures.push(entryResult.invoiceName);
+                entryResult.message += `\n${undoMessage}`;
+            }
+        }
+
+        let batchFailedMessage = `Batch Transfer Failed - All transferred invoices have been rolled back.`;
+        if (rollbackFailures.length) batchFailedMessage = `Batch Transfer Failed - Failed to roll back ${rollbackFailures.join(', ')}.`;
+        return [false, batchFailedMessage, entryResults];
+    }
+
+    /**
+    * @method Matches every invoice within the invoice directory against the page's sort rules, using the first rule that matches each invoice.
+    * @param {Array} sortRules - The page's enabled sort rules, ordered by priority.
+    * @param {number} userId - Database id of the user running the rules, invoices claimed by other users are skipped.
+    * @returns an object containing the planned sort entries, each with the rule that matched, and the invoices that were skipped along with the reason why.
+    */
+    async planAutoSort(sortRules, userId) {
+        let currentYear = `${new Date().getFullYear()}`;
+        //* Rules are validated when they are saved, but a rule that fails to compile is skipped rather than stopping every other rule.
+        let compiledRules = [];
+        for (const sortRule of sortRules) {
+            try {
+                compiledRules.push({...sortRule, pattern: compileRulePattern(sortRule.pattern)});
+            } catch (error) {
+                console.error(error);
+            }
+        }
+
+        let plannedEntries = [];
+        let skippedInvoices = [];
+        for (const invoiceName of await this._readInvoiceFolder()) {
+            let invoiceStat = await this._storage.stat(`${this._invoiceFolderPath}/${invoiceName}`);
+            if (!invoiceStat.isFile()) continue;
+            if (this._isLeasedByAnotherUser(invoiceName, userId)) {
+                skippedInvoices.push({invoiceName, message: `Invoice ${invoiceName} is claimed by another user.`});
+                continue;
+            }
+
+            //? The invoice's text is only read once a rule needs it, since most filename rules never do.
+            let invoiceText = null;
+            let getInvoiceText = async () => {
+                if (!invoiceText) {
+                    try {
+                        invoiceText = await this._readInvoiceText(invoiceName);
+                    } catch (error) {
+                        console.error(error);
+                        invoiceText = {textLines: [], suggestions: {year: null}};
+                    }
+                }
+                return invoiceText;
+            };
+
+            let plannedEntry = null;
+            let skippedMessage = `No sort rule matched ${invoiceName}.`;
+            for (const sortRule of compiledRules) {
+                //! A rule whose pattern timed out is not run again for the rest of the invoices, and the invoices it would have been checked against are skipped.
+                if (sortRule.hasTimedOut) {
+                    skippedMessage = `Rule ${sortRule.ruleName} was not checked against ${invoiceName}, since its pattern took too long to match an earlier invoice.`;
+                    break;
+                }
+
+                let match;
+                try {
+                    match = matchRulePattern(sortRule.pattern, sortRule.matchType == 'text' ? (await getInvoiceText()).textLines.join('\n') : invoiceName);
+                } catch (error) {
+                    if (error.cause != 'patternTimeout') throw error;
+                    console.error(error);
+                    sortRule.hasTimedOut = true;
+                    skippedMessage = `Rule ${sortRule.ruleName} took too long to match ${invoiceName}. ${error.message}`;
+                    break;
+                }
+                if (!match) continue;
+
+                let templateContext = {modifiedYear: `${invoiceStat.mtime.getFullYear()}`, currentYear};
+                if (usesInvoiceYear(sortRule.directoryFolderPath) || usesInvoiceYear(sortRule.yearExpression)) {
+                    templateContext.invoiceYear = (await getInvoiceText()).suggestions.year;
+                }
+                let directoryFolderPath = expandRuleTemplate(sortRule.directoryFolderPath, match, templateContext);
+                let year = expandRuleTemplate(sortRule.yearExpression, match, templateContext);
+                //* Two digit years, such as those captured from a file name, are assumed to be in the 2000s.
+                if (/^\d{2}$/.test(year)) year = `20${year}`;
+
+                //! The first matching rule always wins, so an invoice whose rule leads to an invalid destination is skipped instead of falling through to a lower priority rule.
+                try {
+                    this._validateYear(year);
+                    let directoryFolderAbsolutePath = this._resolveDirectoryFolderPath(directoryFolderPath);
+                    if (!(await this._checkPath(directoryFolderAbsolutePath))) throw new Error(`Directory ${directoryFolderPath} does not exist.`);
+                } catch (error) {
+                    skippedMessage = `Rule ${sortRule.ruleName} matched ${invoiceName}, but its destination is invalid. ${error.message}`;
+                    break;
+                }
+
+                plannedEntry = {
+                    invoiceName,
+                    directoryFolderPath,
+                    directoryName: directoryFolderPath.split('/')[1],
+                    year,
+                    ruleID: sortRule.ruleID,
+                    ruleName: sortRule.ruleName
+                };
+                break;
+            }
+
+            if (plannedEntry) plannedEntries.push(plannedEntry);
+            else skippedInvoices.push({invoiceName, message: skippedMessage});
+        }
+
+        return {plannedEntries, skippedInvoices};
+    }
+
+    /**
+    * @method Sorts every invoice within the invoice directory that matches one of the page's sort rules.
+    * @param {Array} sortRules - The page's enabled sort rules, ordered by priority.
+    * @param {number} userId - Database id of the user running the rules.
+    * @param {boolean} isDryRun - If true, the planned moves are returned without moving any invoices.
+    * @returns an array of three items, a boolean to signify if every planned invoice was sorted, a string describing the outcome, and an object containing the result of each planned entry and the skipped invoices.
+    */
+    async autoSortInvoices(sortRules, userId, isDryRun = true) {
+        let { plannedEntries, skippedInvoices } = await this.planAutoSort(sortRules, userId);
+
+        if (isDryRun) {
+            return [true, `Auto Sort Dry Run - ${plannedEntries.length} invoices would be transferred and ${skippedInvoices.length} skipped.`, {entryResults: plannedEntries, skippedInvoices}];
+        }
+        if (!plannedEntries.length) return [true, `Auto Sort Complete - No invoices matched a sort rule.`, {entryResults: [], skippedInvoices}];
+
+        let [isSuccessful, , sortResults] = await this.sortFiles(plannedEntries, userId);
+        let entryResults = sortResults.map((sortResult, entryIndex) => ({...plannedEntries[entryIndex], ...sortResult}));
+        let transferredCount = entryResults.filter(entryResult => entryResult.isSuccessful).length;
+
+        let autoSortMessage = isSuccessful
+            ? `Auto Sort Successful - ${transferredCount} invoices transferred and ${skippedInvoices.length} skipped.`
+            : `Auto Sort Partially Failed - ${entryResults.length - transferredCount} of ${entryResults.length} invoices failed to transfer.`;
+        return [isSuccessful, autoSortMessage, {entryResults, skippedInvoices}];
+    }
+
     /**
     * @method Initialized a new directory within the directories folder path. The directory folder is initialized based on the passed in query parameters gathered by a fetch request.
     * A new path string is concatenated and check for potential conflicts.
@@ -305,26 +1596,212 @@ export class FileSystem {
     async createNewFolder(requestQueryParameters) {
         let {directoryFolderName, letterFolder} = requestQueryParameters;
         try {
-            let newDirectoryFolderPath = `${this._directoriesFolderPath}/${letterFolder}/${directoryFolderName}`
+            let newDirectoryFolderPath = this._resolveDirectoryFolderPath(`${letterFolder}/${directoryFolderName}`);
             
             if ((await this._checkPath(newDirectoryFolderPath))) throw new Error('Directory Already Exists!', {cause: 'conflict'});
 
-            let hasFolderCreationFailed = await fs.mkdir(newDirectoryFolderPath);
+            let hasFolderCreationFailed = await this._storage.mkdir(newDirectoryFolderPath);
 
             if (hasFolderCreationFailed) throw new Error(`Failed to create a directory at path ${newDirectoryFolderPath}`);
 
+            //* The index is updated right away instead of waiting on the file watcher, so the new directory can be searched immediately.
+            await this._directoryIndex?.rescanLetterFolder(letterFolder);
+
             return [true, `Initialization Successful - Directory ${directoryFolderName} Was Created.`, {directoryName: directoryFolderName, letterFolder}]
         } catch (error) {
             console.error(error)
+            if (error.cause == 'invalidPath') throw error;
             if (error.cause == 'conflict') return [false, `Initialization Failed - Directory ${directoryFolderName} Already Exists!`]
             return [false, `Initialization Failed - Failed to create ${directoryFolderName} folder.`]
         }
     }
 
-    async undoPreviousAction(requestQueryParameters) {
-        let { action, actionId, undoInfo } = requestQueryParameters;
-        let undoInfoObj = JSON.parse(undoInfo);
+    /**
+    * @method Moves a customer directory to a new letter/directory path, used for both renaming and moving directories.
+    * @param {string} directoryFolderPath - The current letter folder and directory name separated by a forward slash.
+    * @param {string} newDirectoryFolderPath - The new letter folder and directory name separated by a forward slash.
+    * @returns {void}
+    */
+    async _relocateDirectory(directoryFolderPath, newDirectoryFolderPath) {
+        let sourcePath = this._resolveDirectoryFolderPath(directoryFolderPath);
+        let destinationPath = this._resolveDirectoryFolderPath(newDirectoryFolderPath);
+
+        if (!(await this._checkPath(sourcePath))) throw new Error(`Directory ${directoryFolderPath} does not exist!`, {cause: 'invalidSource'});
+        if (await this._checkPath(destinationPath)) throw new Error(`Directory ${newDirectoryFolderPath} already exists!`, {cause: 'conflict'});
+
+        //? Records the move before starting it, since object storage moves a directory one object at a time and the process could stop part way through.
+        let moveIntent = {sourcePath, destinationPath, isFolder: true, startedAt: new Date().toISOString()};
+        let intentPath = `${this._pendingMovesFolderPath}/${randomUUID()}.json`;
+        await this._storage.writeFile(intentPath, JSON.stringify(moveIntent));
+
+        try {
+            //* Both paths are within the directories folder, so the directory can be renamed in place instead of being copied.
+            await this._storage.rename(sourcePath, destinationPath);
+            await this._storage.rm(intentPath, {force: true});
+        } catch (error) {
+            //? Settles the failed move right away, so that the directory is left in exactly one place.
+            console.error(error);
+            if ((await this._settleMove(moveIntent, intentPath)) != 'completed') throw new Error(`Failed to move directory ${directoryFolderPath} to ${newDirectoryFolderPath}.`);
+        }
+        this._contentHashIndex?.moveFolder(sourcePath, destinationPath);
+
+        await this._directoryIndex?.rescanLetterFolder(directoryFolderPath.split('/')[0]);
+        await this._directoryIndex?.rescanLetterFolder(newDirectoryFolderPath.split('/')[0]);
+    }
+
+    /**
+    * @method Renames a customer directory while keeping it within the same letter folder.
+    * @param {object} requestQueryParameters - Query parameters containing the directoryFolderPath of the directory and its newDirectoryName.
+    * @returns an array of three items, a boolean to signify if the rename was successful, a string describing the outcome, and an object containing the information required to undo the action.
+    */
+    async renameDirectory(requestQueryParameters) {
+        let { directoryFolderPath, newDirectoryName } = requestQueryParameters;
+        try {
+            let [letterFolder] = `${directoryFolderPath}`.split('/');
+            let newDirectoryFolderPath = `${letterFolder}/${newDirectoryName}`;
+
+            await this._relocateDirectory(directoryFolderPath, newDirectoryFolderPath);
+
+            return [true, `Rename Successful - Directory ${directoryFolderPath} renamed to ${newDirectoryName}.`, {directoryFolderPath, newDirectoryFolderPath}];
+        } catch (error) {
+            console.error(error)
+            if (error.cause == 'invalidPath') throw error;
+            return [false, `Rename Failed - Failed to rename ${directoryFolderPath} to ${newDirectoryName}.\n${error.message}`];
+        }
+    }
+
+    /**
+    * @method Moves a customer directory to a different letter folder while keeping its name.
+    * @param {object} requestQueryParameters - Query parameters containing the directoryFolderPath of the directory and the letterFolder it should be moved to.
+    * @returns an array of three items, a boolean to signify if the move was successful, a string describing the outcome, and an object containing the information required to undo the action.
+    */
+    async moveDirectory(requestQueryParameters) {
+        let { directoryFolderPath, letterFolder } = requestQueryParameters;
+        try {
+            let [, directoryName] = `${directoryFolderPath}`.split('/');
+            let newDirectoryFolderPath = `${letterFolder}/${directoryName}`;
+
+            await this._relocateDirectory(directoryFolderPath, newDirectoryFolderPath);
+
+            return [true, `Move Successful - Directory ${directoryName} moved to letter folder ${letterFolder}.`, {directoryFolderPath, newDirectoryFolderPath}];
+        } catch (error) {
+            console.error(error)
+            if (error.cause == 'invalidPath') throw error;
+            return [false, `Move Failed - Failed to move ${directoryFolderPath} to letter folder ${letterFolder}.\n${error.message}`];
+        }
+    }
+
+    /**
+    * @method Recursively moves the contents of one folder into another, creating any missing subfolders and renaming files whose names are already in use.
+    * @param {string} sourcePath - Absolute path of the folder being emptied.
+    * @param {string} targetPath - Absolute path of the folder receiving the contents.
+    * @param {Array} relativeSegments - The subfolder segments below the merged directories that are currently being processed.
+    * @param {object} mergeRecord - Object containing the movedFiles, mergedFolders and createdFolders arrays, which are filled in as the merge progresses so it can be undone.
+    * @returns {void}
+    */
+    async _mergeFolderContents(sourcePath, targetPath, relativeSegments, mergeRecord) {
+        let folderContents = await this._storage.readdir(sourcePath);
+        for (const entry of folderContents) {
+            //* Hidden files are copies still being written by another move, which are left for that move to finish.
+            if (entry.name.startsWith('.')) continue;
+            let entrySegments = [...relativeSegments, entry.name];
+
+            if (entry.isDirectory()) {
+                mergeRecord.mergedFolders.push(entrySegments);
+                let targetSubfolderPath = `${targetPath}/${entry.name}`;
+                if (!(await this._checkPath(targetSubfolderPath))) {
+                    await this._storage.mkdir(targetSubfolderPath);
+                    mergeRecord.createdFolders.push(entrySegments);
+                }
+                await this._mergeFolderContents(`${sourcePath}/${entry.name}`, targetSubfolderPath, entrySegments, mergeRecord);
+                await this._storage.rmdir(`${sourcePath}/${entry.name}`);
+                continue;
+            }
+
+            //? Resolves file name collisions the same way sorted invoices are, by appending a copy number to the file's name.
+            let [targetFilePath, uniqueFileName] = await this._checkInvoiceFileName(targetPath, entry.name);
+            let [isFileMoved, fileMoveErrorCause] = await this._moveFile(`${sourcePath}/${entry.name}`, targetFilePath);
+            if (!isFileMoved) throw new Error(`Failed to move ${entrySegments.join('/')} - ${fileMoveErrorCause}.`);
+
+            mergeRecord.movedFiles.push({sourceSegments: entrySegments, targetSegments: [...relativeSegments, uniqueFileName]});
+        }
+    }
+
+    /**
+    * @method Merges one customer directory into another, combining their year folders and resolving file name collisions, then removes the emptied source directory.
+    * @param {object} requestQueryParameters - Query parameters containing the sourceFolderPath of the directory being merged and the targetFolderPath it is merged into.
+    * @returns an array of three items, a boolean to signify if the merge was successful, a string describing the outcome, and an object containing the information required to undo the action.
+    */
+    async mergeDirectories(requestQueryParameters) {
+        let { sourceFolderPath, targetFolderPath } = requestQueryParameters;
+        let mergeRecord = {sourceFolderPath, targetFolderPath, movedFiles: [], mergedFolders: [], createdFolders: []};
+        try {
+            let sourcePath = this._resolveDirectoryFolderPath(sourceFolderPath);
+            let targetPath = this._resolveDirectoryFolderPath(targetFolderPath);
+            if (sourcePath == targetPath) throw new Error('A directory can not be merged into itself!', {cause: 'invalidPath'});
+
+            let [arePathsValid, invalidPath] = await this._validatePaths([sourcePath, targetPath]);
+            if (!arePathsValid) throw new Error(`${invalidPath} does not exist!`);
+
+            await this._mergeFolderContents(sourcePath, targetPath, [], mergeRecord);
+            await this._storage.rmdir(sourcePath);
+
+            await this._directoryIndex?.rescanLetterFolder(sourceFolderPath.split('/')[0]);
+
+            let renamedCount = mergeRecord.movedFiles.filter(({sourceSegments, targetSegments}) => sourceSegments.at(-1) != targetSegments.at(-1)).length;
+            let mergeMessage = `Merge Successful - ${mergeRecord.movedFiles.length} files moved from ${sourceFolderPath} to ${targetFolderPath}.`;
+            if (renamedCount) mergeMessage += `\n${renamedCount} files were renamed to avoid overwriting existing files.`;
+
+            return [true, mergeMessage, mergeRecord];
+        } catch (error) {
+            console.error(error)
+            if (error.cause == 'invalidPath') throw error;
+
+            //! If the merge fails partway through, the files that were already moved are returned so the source directory is left as it was.
+            if (mergeRecord.movedFiles.length || mergeRecord.createdFolders.length) {
+                let [isRolledBack] = await this.undoPreviousAction('Folder Merge', mergeRecord);
+                if (!isRolledBack) return [false, `Merge Failed - Failed to merge ${sourceFolderPath} into ${targetFolderPath}, and the partially merged files could not be returned.\n${error.message}`];
+            }
+            return [false, `Merge Failed - Failed to merge ${sourceFolderPath} into ${targetFolderPath}.\n${error.message}`];
+        }
+    }
+
+    /**
+    * @method Deletes an empty customer directory.
+    * @param {object} requestQueryParameters - Query parameters containing the directoryFolderPath of the directory being deleted.
+    * @returns an array of three items, a boolean to signify if the deletion was successful, a string describing the outcome, and an object containing the information required to undo the action.
+    */
+    async deleteDirectory(requestQueryParameters) {
+        let { directoryFolderPath } = requestQueryParameters;
+        try {
+            let directoryPath = this._resolveDirectoryFolderPath(directoryFolderPath);
+            if (!(await this._checkPath(directoryPath))) throw new Error(`Directory ${directoryFolderPath} does not exist!`);
+
+            //! rmdir only removes empty directories, so a directory containing any files or year folders is never deleted.
+            await this._storage.rmdir(directoryPath);
+
+            await this._directoryIndex?.rescanLetterFolder(directoryFolderPath.split('/')[0]);
+
+            return [true, `Deletion Successful - Directory ${directoryFolderPath} was deleted.`, {directoryFolderPath}];
+        } catch (error) {
+            console.error(error)
+            if (error.cause == 'invalidPath') throw error;
+            if (error.code == 'ENOTEMPTY') return [false, `Deletion Failed - Directory ${directoryFolderPath} is not empty.`];
+            return [false, `Deletion Failed - Failed to delete ${directoryFolderPath}.\n${error.message}`];
+        }
+    }
+
+    /**
+    * @method Reverses a previously recorded action using the undo information stored for it in the actions table.
+    * @param {string} action - The type of action being undone, such as 'Folder Creation' or 'File Transfer'.
+    * @param {object} undoInfoObj - The undo information that was returned when the action was originally performed.
+    * @returns an array of three items, a boolean to signify if the undo was successful, a string describing the outcome, and an object containing the information required to redo the action.
+    * Undoing the transfer of a converted image returns a fourth item, the previous and new content hashes of the invoice when its original image was returned in place of the pdf.
+    */
+    async undoPreviousAction(action, undoInfoObj) {
         let finalTransferMessage;
+        let redoInfo;
+        let restoredContentHashes = null;
         try {
             if ( action == 'Folder Creation') {
                 /* 
@@ -335,16 +1812,19 @@ export class FileSystem {
                 */
 
                 //? Creates the directory's path with the info from the passed in undoInfo object.
-                let directoryToBeRemoved = `${this._directoriesFolderPath}/${undoInfoObj.letterFolder}/${undoInfoObj.directoryName}`
+                let directoryToBeRemoved = this._resolveDirectoryFolderPath(`${undoInfoObj.letterFolder}/${undoInfoObj.directoryName}`);
 
                 //? Checks that the directory exists via the path and if not, an error is thrown.
-                if (!(await this._checkPath(directoryToBeRemoved))) throw new Error(`Folder ${undoInfoObj.directoryName} does not exists within the ${undoInfoObj.letterFolder} directory.`, {cause: 'invalidPath'})
+                if (!(await this._checkPath(directoryToBeRemoved))) throw new Error(`Folder ${undoInfoObj.directoryName} does not exists within the ${undoInfoObj.letterFolder} directory.`, {cause: 'missingFolder'})
 
-                let hasDirectoryRemovalFailed = await fs.rmdir(directoryToBeRemoved);
+                let hasDirectoryRemovalFailed = await this._storage.rmdir(directoryToBeRemoved);
 
                 if (hasDirectoryRemovalFailed) throw new Error(`Failed to remove directory at path ./${undoInfoObj.letterFolder}/${undoInfoObj.directoryName}.`, {cause: 'removalFailed'})
 
+                await this._directoryIndex?.rescanLetterFolder(undoInfoObj.letterFolder);
+
                 finalTransferMessage = `Undo Action Successful - ${action} has successfully been undone. Directory ${undoInfoObj.directoryName} has been successfully removed.`
+                redoInfo = {directoryFolderName: undoInfoObj.directoryName, letterFolder: undoInfoObj.letterFolder};
             } else if ( action == 'File Transfer') {
                 /* 
                 First, check if the file exists within the specified directory,
@@ -355,16 +1835,47 @@ export class FileSystem {
                 */
                 // {oldInvoiceName, newInvoiceName, directoryFolderPath, directoryName, year}
 
-                let invoiceToBeRemoved = `${this._directoriesFolderPath}/${undoInfoObj.directoryFolderPath}/${undoInfoObj.year}/${undoInfoObj.newInvoiceName}`
+                let invoiceToBeRemoved = this._resolveStoredInvoicePath(undoInfoObj.directoryFolderPath, undoInfoObj.year, undoInfoObj.newInvoiceName);
+                this._validatePathSegment(undoInfoObj.oldInvoiceName, 'oldInvoiceName');
+
+                //? Images converted to a pdf when sorted are returned as the original image while it is still kept, and the pdf is removed.
+                let convertedOriginalPath = undoInfoObj.convertedOriginalName
+                    ? `${this._convertedOriginalsFolderPath}/${this._validatePathSegment(undoInfoObj.convertedOriginalName, 'convertedOriginalName')}`
+                    : null;
+                if (convertedOriginalPath && (await this._checkPath(convertedOriginalPath))) {
+                    if (!(await this._checkPath(invoiceToBeRemoved))) throw new Error(`Invoice ${undoInfoObj.newInvoiceName} was not found in directory ${undoInfoObj.directoryName}.`);
+
+                    //* The pdf is hashed before it is removed so that its tags and notes can be moved back to the image.
+                    restoredContentHashes = [await this._getContentHash(invoiceToBeRemoved), await this._hashFile(convertedOriginalPath)];
+                    let [invoiceReturnPath, uniqueInvoiceName] = await this._checkInvoiceFileName(this._invoiceFolderPath, undoInfoObj.oldInvoiceName);
+
+                    let [isFileMoved, fileMoveErrorCause] = await this._moveFile(convertedOriginalPath, invoiceReturnPath);
+                    if (!isFileMoved) throw new Error(`Failed to return the original image of ${undoInfoObj.newInvoiceName} to the invoice directory - ${fileMoveErrorCause}.`);
+                    await this._storage.rm(invoiceToBeRemoved, {force: true});
+                    this._contentHashIndex?.removeFile(invoiceToBeRemoved);
+
+                    finalTransferMessage = `Undo Action Successful - ${action} has successfully been undone. File ${undoInfoObj.newInvoiceName} has been successfully removed from ${undoInfoObj.directoryName} and its original image has been returned.`;
+                    if (undoInfoObj.oldInvoiceName != uniqueInvoiceName) finalTransferMessage += `\nReturned invoice has been renamed from ${undoInfoObj.oldInvoiceName} to ${uniqueInvoiceName}.`
+                    redoInfo = {invoiceName: uniqueInvoiceName, directoryFolderPath: undoInfoObj.directoryFolderPath, directoryName: undoInfoObj.directoryName, year: undoInfoObj.year};
+                    return [true, finalTransferMessage, redoInfo, restoredContentHashes];
+                }
 
                 let invoiceFileName = undoInfoObj.newInvoiceName == undoInfoObj.oldInvoiceName ? undoInfoObj.newInvoiceName : undoInfoObj.oldInvoiceName
+                //* Images converted to a pdf when sorted are returned as the pdf, so the original name is kept with the pdf's extension.
+                let newInvoiceExtension = path.extname(undoInfoObj.newInvoiceName);
+                if (path.extname(invoiceFileName).toLowerCase() != newInvoiceExtension.toLowerCase()) {
+                    invoiceFileName = `${invoiceFileName.slice(0, invoiceFileName.length - path.extname(invoiceFileName).length)}${newInvoiceExtension}`;
+                }
 
                 let [invoiceReturnPath, uniqueInvoiceName] = await this._checkInvoiceFileName(this._invoiceFolderPath, invoiceFileName);
 
                 let [isFileMoved, fileMoveErrorCause] = await this._moveFile(invoiceToBeRemoved, invoiceReturnPath);
                 if (isFileMoved) {
                     finalTransferMessage = `Undo Action Successful - ${action} has successfully been undone. File ${undoInfoObj.newInvoiceName} has been successfully removed from ${undoInfoObj.directoryName}.`;
+                    if (convertedOriginalPath) finalTransferMessage += `\nThe original image is no longer kept, so the converted pdf has been returned instead.`;
                     if (invoiceFileName != uniqueInvoiceName) finalTransferMessage += `\nReturned invoice has been renamed from ${invoiceFileName} to ${uniqueInvoiceName}.`
+                    //* The returned invoice may have been renamed, so the redo info points at its current name within the invoice directory.
+                    redoInfo = {invoiceName: uniqueInvoiceName, directoryFolderPath: undoInfoObj.directoryFolderPath, directoryName: undoInfoObj.directoryName, year: undoInfoObj.year};
                 } else {
                     switch (fileMoveErrorCause) {
                         case 'SourcePathInvalid': {
@@ -372,7 +1883,7 @@ export class FileSystem {
                             break;
                         }
                         case 'DestinationPathAlreadyInUse': {
-                            throw new Error(`Invoice directory already contains a ${undoInfoObj.uniqueInvoiceName} invoice file.`)
+                            throw new Error(`Invoice directory already contains a ${uniqueInvoiceName} invoice file.`)
                             break;
                         }
                         case 'failedToCopyFile': {
@@ -382,20 +1893,84 @@ export class FileSystem {
                         case 'failedToDeleteFile': {
                             throw new Error(`Failed to delete invoice ${undoInfoObj.newInvoiceName} from ${undoInfoObj.directoryName}.`);
                             break;
-                        }   
+                        }
+                        default: {
+                            throw new Error(`Failed to transfer invoice ${undoInfoObj.newInvoiceName} back to invoice directory - ${fileMoveErrorCause}.`);
+                        }
                     }
                 }
+            } else if ( action == 'Folder Rename' || action == 'Folder Move') {
+                //? Moves the directory back to its original path.
+                await this._relocateDirectory(undoInfoObj.newDirectoryFolderPath, undoInfoObj.directoryFolderPath);
+
+                finalTransferMessage = `Undo Action Successful - ${action} has successfully been undone. Directory ${undoInfoObj.newDirectoryFolderPath} has been returned to ${undoInfoObj.directoryFolderPath}.`
+                let [newLetterFolder, newDirectoryName] = undoInfoObj.newDirectoryFolderPath.split('/');
+                redoInfo = action == 'Folder Rename' ? {directoryFolderPath: undoInfoObj.directoryFolderPath, newDirectoryName} : {directoryFolderPath: undoInfoObj.directoryFolderPath, letterFolder: newLetterFolder};
+            } else if ( action == 'Folder Merge') {
+                /*
+                First, recreate the source directory and its subfolders, including any that were empty,
+                Next, move every file back to its original path within the source directory,
+                Finally, remove the subfolders that the merge created within the target directory, so long as they are empty.
+                */
+                let sourcePath = this._resolveDirectoryFolderPath(undoInfoObj.sourceFolderPath);
+                let targetPath = this._resolveDirectoryFolderPath(undoInfoObj.targetFolderPath);
+                let resolveSegments = (rootPath, segments) => this._resolveWithinRoot(rootPath, segments.map(segment => this._validatePathSegment(segment, 'merged file path')));
+
+                if (!(await this._checkPath(sourcePath))) await this._storage.mkdir(sourcePath);
+                for (const mergedSegments of undoInfoObj.mergedFolders) await this._storage.mkdir(resolveSegments(sourcePath, mergedSegments), {recursive: true});
+                for (const { sourceSegments, targetSegments } of [...undoInfoObj.movedFiles].reverse()) {
+                    let originalFilePath = resolveSegments(sourcePath, sourceSegments);
+                    let [isFileMoved, fileMoveErrorCause] = await this._moveFile(resolveSegments(targetPath, targetSegments), originalFilePath);
+                    if (!isFileMoved) throw new Error(`Failed to return ${targetSegments.join('/')} to ${undoInfoObj.sourceFolderPath} - ${fileMoveErrorCause}.`);
+                }
+                for (const createdSegments of [...undoInfoObj.createdFolders].reverse()) {
+                    let createdFolderPath = resolveSegments(targetPath, createdSegments);
+                    if ((await this._checkPath(createdFolderPath)) && !(await this._storage.readdir(createdFolderPath)).length) await this._storage.rmdir(createdFolderPath);
+                }
+
+                await this._directoryIndex?.rescanLetterFolder(undoInfoObj.sourceFolderPath.split('/')[0]);
+
+                finalTransferMessage = `Undo Action Successful - ${action} has successfully been undone. ${undoInfoObj.movedFiles.length} files have been returned to ${undoInfoObj.sourceFolderPath}.`
+                redoInfo = {sourceFolderPath: undoInfoObj.sourceFolderPath, targetFolderPath: undoInfoObj.targetFolderPath};
+            } else if ( action == 'Folder Deletion') {
+                let directoryToBeRestored = this._resolveDirectoryFolderPath(undoInfoObj.directoryFolderPath);
+                if (await this._checkPath(directoryToBeRestored)) throw new Error(`Directory ${undoInfoObj.directoryFolderPath} already exists.`);
+
+                await this._storage.mkdir(directoryToBeRestored);
+                await this._directoryIndex?.rescanLetterFolder(undoInfoObj.directoryFolderPath.split('/')[0]);
+
+                finalTransferMessage = `Undo Action Successful - ${action} has successfully been undone. Directory ${undoInfoObj.directoryFolderPath} has been restored.`
+                redoInfo = {directoryFolderPath: undoInfoObj.directoryFolderPath};
             }
 
-            return [true, finalTransferMessage, actionId]
+            if (!redoInfo) throw new Error(`Unknown action ${action}.`);
+
+            return [true, finalTransferMessage, redoInfo]
         } catch (error) {
             console.error(error)
+            if (error.cause == 'invalidPath') throw error;
             //* Initializes an error message variable to allow additional info to be appended to the message based on error that has occurred.
             let errorMessage = `Undo Action Failed - Failed to undo ${action}.`;
             if (error.code == "ENOTEMPTY") errorMessage += `\nFolder ${undoInfoObj.directoryFolderPath} is not empty.`;
             if (!(error.code)) errorMessage +=`\n${error.message}`;
-            console.log(errorMessage)
             return [false, errorMessage]
         }
     }
+
+    /**
+    * @method Performs a previously undone action again using the redo information stored for it in the actions table.
+    * @param {string} action - The type of action being redone, such as 'Folder Creation' or 'File Transfer'.
+    * @param {object} redoInfoObj - The redo information that was returned when the action was undone.
+    * @param {number} userId - Database id of the user redoing the action.
+    * @returns an array of three items, a boolean to signify if the redo was successful, a string describing the outcome, and an object containing the information required to undo the action again.
+    */
+    async redoAction(action, redoInfoObj, userId) {
+        if (action == 'Folder Creation') return await this.createNewFolder(redoInfoObj);
+        if (action == 'File Transfer') return await this.sortFile(redoInfoObj, userId);
+        if (action == 'Folder Rename') return await this.renameDirectory(redoInfoObj);
+        if (action == 'Folder Move') return await this.moveDirectory(redoInfoObj);
+        if (action == 'Folder Merge') return await this.mergeDirectories(redoInfoObj);
+        if (action == 'Folder Deletion') return await this.deleteDirectory(redoInfoObj);
+        return [false, `Redo Action Failed - Unknown action ${action}.`];
+    }
 }
\ No newline at end of file
@@ -0,0 +1,75 @@
+import * as fs from 'fs/promises';
+
+//* Number of bytes read from the start of a file to detect its type.
+export const signatureLength = 8;
+
+//* File types accepted as invoices, each identified by the bytes its files start with. Images are what scanners produce when they are not set to save pdfs.
+const invoiceFileTypes = [
+    {extension: 'pdf', mimeType: 'application/pdf', isImage: false, signatures: [[0x25, 0x50, 0x44, 0x46, 0x2d]]},
+    {extension: 'png', mimeType: 'image/png', isImage: true, signatures: [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]},
+    {extension: 'jpg', mimeType: 'image/jpeg', isImage: true, signatures: [[0xff, 0xd8, 0xff]]},
+    //* Tiffs start with the byte order they were written in, either little endian (II) or big endian (MM).
+    {extension: 'tif', mimeType: 'image/tiff', isImage: true, signatures: [[0x49, 0x49, 0x2a, 0x00], [0x4d, 0x4d, 0x00, 0x2a]]}
+];
+
+//* Extensions that are written differently but refer to one of the types above.
+const extensionAliases = {jpeg: 'jpg', jpe: 'jpg', tiff: 'tif'};
+
+//* Mime type reported for files that are not one of the accepted invoice types.
+export const unknownMimeType = 'application/octet-stream';
+
+/**
+* @function Detects a file's type from the bytes it starts with.
+* @param {Buffer} fileHeader - The first bytes of the file.
+* @returns An object containing the type's extension, mime type and whether it is an image, or null if the file is not an accepted invoice type.
+*/
+export function detectFileType(fileHeader) {
+    let fileType = invoiceFileTypes.find(({ signatures }) => signatures.some(signature => signature.every((byte, index) => fileHeader[index] == byte)));
+    return fileType ? {extension: fileType.extension, mimeType: fileType.mimeType, isImage: fileType.isImage} : null;
+}
+
+/**
+* @function Reads the start of a stream and detects the type of the file it contains, used for files kept by a storage driver.
+* @param {Readable} readStream - Stream of the file, which only needs to contain its first bytes and is destroyed once they are read.
+* @returns An object containing the type's extension, mime type and whether it is an image, or null if the file is not an accepted invoice type.
+*/
+export async function detectFileTypeFromStream(readStream) {
+    let headerChunks = [];
+    let headerLength = 0;
+    try {
+        for await (const chunk of readStream) {
+            headerChunks.push(chunk);
+            headerLength += chunk.length;
+            if (headerLength >= signatureLength) break;
+        }
+    } finally {
+        readStream.destroy();
+    }
+    return detectFileType(Buffer.concat(headerChunks).subarray(0, signatureLength));
+}
+
+/**
+* @function Reads the start of a file and detects its type.
+* @param {string} filePath - Path to the file.
+* @returns An object containing the type's extension, mime type and whether it is an image, or null if the file is not an accepted invoice type.
+*/
+export async function detectFileTypeFromPath(filePath) {
+    let fileHandle = await fs.open(filePath, 'r');
+    try {
+        let { buffer, bytesRead } = await fileHandle.read(Buffer.alloc(signatureLength), 0, signatureLength, 0);
+        return detectFileType(buffer.subarray(0, bytesRead));
+    } finally {
+        await fileHandle.close();
+    }
+}
+
+/**
+* @function Determines if a file name's extension matches a detected file type.
+* @param {string} fileName - The file's name.
+* @param {object} fileType - The detected file type.
+* @returns {boolean} True if the extension, or its alias, is the detected type's extension.
+*/
+export function extensionMatchesType(fileName, fileType) {
+    let extension = fileName.includes('.') ? fileName.substring(fileName.lastIndexOf('.') + 1).toLowerCase() : '';
+    return (extensionAliases[extension] ?? extension) == fileType.extension;
+}
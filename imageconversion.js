@@ -0,0 +1,143 @@
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import { PDFDocument } from 'pdf-lib';
+import UTIF from 'utif';
+import { PNG } from 'pngjs';
+
+//* Resolution assumed for images that do not record their own, which is what most office scanners use.
+const defaultImageDpi = 200;
+//* Number of pdf points in an inch, which pdf page sizes are measured in.
+const pointsPerInch = 72;
+//* Largest single page that will be decoded, currently 60 megapixels, about an A4 page scanned at 600 dpi with room to spare.
+//* Each page is held in memory as 4 bytes per pixel while it is converted, so this keeps a single page under 240 MB.
+const maxPagePixels = 60 * 1000 * 1000;
+//* Largest total number of pixels across every page of an image, since compressed fax scans can hold hundreds of pages within a small file.
+const maxImagePixels = 600 * 1000 * 1000;
+//* How long a single conversion can take before its worker is stopped, currently two minutes.
+const conversionTimeout = 2 * 60 * 1000;
+
+/**
+* @function Adds a page to a pdf that is the size of the image at its resolution, so that an A4 scan becomes an A4 page, and draws the image over the whole page.
+* The image is written into the pdf right away, so that its decoded pixels are not held until the whole pdf is saved.
+* @param {PDFDocument} pdfDocument - The pdf being built.
+* @param {PDFImage} embeddedImage - The image, already embedded within the pdf.
+* @param {number} horizontalDpi - The image's horizontal resolution in dots per inch.
+* @param {number} verticalDpi - The image's vertical resolution in dots per inch.
+* @returns {void}
+*/
+async function addImagePage(pdfDocument, embeddedImage, horizontalDpi, verticalDpi) {
+    let pageWidth = embeddedImage.width * pointsPerInch / horizontalDpi;
+    let pageHeight = embeddedImage.height * pointsPerInch / verticalDpi;
+    pdfDocument.addPage([pageWidth, pageHeight]).drawImage(embeddedImage, {x: 0, y: 0, width: pageWidth, height: pageHeight});
+    await embeddedImage.embed();
+}
+
+/**
+* @function Reads a tiff page's resolution from its tags, converting from centimeters when the page's resolution unit is set to them.
+* @param {object} imageFileDirectory - The page's decoded tags.
+* @returns An array containing the page's horizontal and vertical dots per inch.
+*/
+function getTiffPageDpi(imageFileDirectory) {
+    //* Tag 296 holds the resolution unit, where 3 is centimeters and anything else is treated as inches.
+    let unitsPerInch = imageFileDirectory.t296?.[0] == 3 ? 2.54 : 1;
+    let horizontalDpi = (imageFileDirectory.t282?.[0] || defaultImageDpi / unitsPerInch) * unitsPerInch;
+    let verticalDpi = (imageFileDirectory.t283?.[0] || horizontalDpi / unitsPerInch) * unitsPerInch;
+    return [horizontalDpi, verticalDpi];
+}
+
+/**
+* @function Checks the size of every page of an image against the pixel limits before any page is decoded.
+* @param {Array} pageSizes - An array of arrays containing each page's width and height in pixels.
+* @returns {void} - An error is thrown if a page or the whole image is too large to convert.
+*/
+function validatePageSizes(pageSizes) {
+    let imagePixels = 0;
+    for (const [width, height] of pageSizes) {
+        if (!(width > 0 && height > 0)) throw new Error('The image has a page without a valid size.');
+        if (width * height > maxPagePixels) throw new Error(`The image has a ${width} x ${height} page, which is larger than the ${maxPagePixels / 1000000} megapixel limit.`);
+        imagePixels += width * height;
+    }
+    if (imagePixels > maxImagePixels) throw new Error(`The image has ${Math.round(imagePixels / 1000000)} megapixels across its pages, which is more than the ${maxImagePixels / 1000000} megapixel limit.`);
+}
+
+/**
+* @function Converts a scanned image into a pdf on the current thread, with one page per image, or one page per page of a multi-page tiff.
+* @param {Buffer} imageData - The image file's content.
+* @param {object} fileType - The image's detected file type.
+* @returns A Uint8Array containing the pdf's content, which has its own ArrayBuffer so that it can be transferred back from the worker without a copy.
+*/
+async function convertImage(imageData, fileType) {
+    let pdfDocument = await PDFDocument.create();
+
+    if (fileType.extension == 'png') {
+        //* The size is read from the png's header, since the image is fully decoded when it is embedded.
+        validatePageSizes([[imageData.readUInt32BE(16), imageData.readUInt32BE(20)]]);
+        await addImagePage(pdfDocument, await pdfDocument.embedPng(imageData), defaultImageDpi, defaultImageDpi);
+    } else if (fileType.extension == 'jpg') {
+        //* Jpgs are stored within the pdf as they are, so their pixels are never decoded.
+        await addImagePage(pdfDocument, await pdfDocument.embedJpg(imageData), defaultImageDpi, defaultImageDpi);
+    } else if (fileType.extension == 'tif') {
+        //* Tag 254 marks reduced resolution copies of a page, such as thumbnails, which are skipped.
+        let imageFileDirectories = UTIF.decode(imageData).filter(imageFileDirectory => !(imageFileDirectory.t254?.[0] & 1));
+        validatePageSizes(imageFileDirectories.map(imageFileDirectory => [imageFileDirectory.t256?.[0], imageFileDirectory.t257?.[0]]));
+
+        for (const imageFileDirectory of imageFileDirectories) {
+            //? Tiff pages can use compressions pdfs do not support, such as the fax compression used by many scanners, so each page is decoded and stored as a png.
+            UTIF.decodeImage(imageData, imageFileDirectory);
+            let pagePixels = Buffer.from(UTIF.toRGBA8(imageFileDirectory));
+            //* The decoded page is dropped from its tags right away, so only one page is held in memory at a time.
+            delete imageFileDirectory.data;
+            //* Black and white pages are stored in grayscale, which keeps them a fraction of the size of a full color page.
+            let isBilevel = imageFileDirectory.t258?.[0] == 1;
+            let pagePng = PNG.sync.write({width: imageFileDirectory.width, height: imageFileDirectory.height, data: pagePixels}, {colorType: isBilevel ? 0 : 6});
+
+            await addImagePage(pdfDocument, await pdfDocument.embedPng(pagePng), ...getTiffPageDpi(imageFileDirectory));
+        }
+    } else {
+        throw new Error(`Files of type ${fileType.extension} can not be converted to a pdf.`);
+    }
+
+    if (!pdfDocument.getPageCount()) throw new Error('The image does not contain any pages.');
+    return await pdfDocument.save();
+}
+
+/**
+* @function Converts a scanned image into a pdf, with one page per image, or one page per page of a multi-page tiff.
+* Decoding large scans takes seconds of cpu time, so the conversion runs on a worker thread to keep the server responding, and is stopped if it takes too long.
+* @param {Buffer} imageData - The image file's content.
+* @param {object} fileType - The image's detected file type.
+* @returns A buffer containing the pdf's content, otherwise an error is thrown if the image could not be converted.
+*/
+export function convertImageToPdf(imageData, fileType) {
+    return new Promise((resolve, reject) => {
+        let conversionWorker = new Worker(new URL(import.meta.url), {workerData: {imageData, fileType: {extension: fileType.extension}}});
+        let timeoutId = setTimeout(() => {
+            conversionWorker.terminate();
+            reject(new Error(`Converting the image took longer than ${conversionTimeout / 1000} seconds.`));
+        }, conversionTimeout);
+
+        conversionWorker.once('message', ({ pdfData, errorMessage }) => {
+            clearTimeout(timeoutId);
+            if (errorMessage) reject(new Error(errorMessage));
+            else resolve(Buffer.from(pdfData.buffer, pdfData.byteOffset, pdfData.byteLength));
+        });
+        conversionWorker.once('error', (error) => {
+            clearTimeout(timeoutId);
+            reject(error);
+        });
+        conversionWorker.once('exit', (exitCode) => {
+            clearTimeout(timeoutId);
+            //* Does nothing if the conversion already finished, since a promise can only settle once.
+            reject(new Error(`Image conversion stopped with exit code ${exitCode}.`));
+        });
+    });
+}
+
+//? When this module is loaded as the conversion worker, it converts the image it was passed and sends back the pdf.
+if (!isMainThread && workerData?.imageData) {
+    try {
+        let pdfData = await convertImage(Buffer.from(workerData.imageData), workerData.fileType);
+        parentPort.postMessage({pdfData}, [pdfData.buffer]);
+    } catch (error) {
+        parentPort.postMessage({errorMessage: error.message});
+    }
+}
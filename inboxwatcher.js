@@ -0,0 +1,132 @@
+//* How often the invoice folder is rescanned when file watching is not available, currently every ten seconds.
+const rescanInterval = 10 * 1000;
+//* How long to wait after a change is reported before rescanning, since a single copy can trigger several watch events.
+const rescanDelay = 250;
+
+export class InboxWatcher {
+    constructor(storage, invoiceFolderPath, onChange, readInvoiceDetails) {
+        //* The page's storage driver, used to read and watch the invoice folder.
+        this._storage = storage;
+        this._invoiceFolderPath = invoiceFolderPath;
+        //* Called with the names of the files that arrived in and left the invoice folder since the last scan.
+        this._onChange = onChange;
+        //* Called with a file's name to read the details listed for it, such as its size and type, which resolves to null if it is not a file.
+        this._readInvoiceDetails = readInvoiceDetails;
+        this._invoiceNames = new Set();
+        //* Details of each file, which are only read again once the file is reported as changed, so that listing the folder does not stat and sniff every file.
+        this._invoiceDetails = new Map();
+        this._changedNames = new Set();
+        this._rescanPromise = null;
+        this._watcher = null;
+        this._rescanTimer = null;
+        this._rescanIntervalId = null;
+    }
+
+    /**
+    * @method Reads the invoice folder's current files, then starts reporting changes to it through file watching, or periodic rescans if watching is unavailable.
+    * @returns {void}
+    */
+    async build() {
+        this.close();
+        this._invoiceNames = new Set(await this._readInvoiceNames());
+        this._invoiceDetails.clear();
+
+        try {
+            this._watcher = this._storage.watch(this._invoiceFolderPath, (eventType, fileName) => {
+                //* Some platforms do not report which file changed, in which case every file's details are read again.
+                if (fileName) this._changedNames.add(fileName);
+                else this._invoiceDetails.clear();
+                this._scheduleRescan();
+            });
+            //! Watchers on network shares can fail after being created, and object storage can not be watched at all, in which case the watcher falls back to periodic rescans.
+            this._watcher.on('error', (error) => {
+                console.error(error);
+                this._startPeriodicRescans();
+            });
+        } catch (error) {
+            //* Drivers that can not watch report ENOSYS, which is expected and not worth logging.
+            if (error.code != 'ENOSYS') console.error(error);
+            this._startPeriodicRescans();
+        }
+    }
+
+    async _readInvoiceNames() {
+        //* Hidden files, such as uploads that are still being written, are not reported.
+        return (await this._storage.readdir(this._invoiceFolderPath)).map(entry => entry.name).filter(fileName => !fileName.startsWith('.'));
+    }
+
+    /**
+    * @method Rereads the invoice folder, reads the details of every file that was added or changed, and reports every file that was added or removed since the last scan.
+    * Calls made while a scan is running share its result.
+    * @returns {void} - An error is thrown if the invoice folder could not be read.
+    */
+    rescan() {
+        this._rescanPromise ??= this._readChanges().finally(() => {
+            this._rescanPromise = null;
+        });
+        return this._rescanPromise;
+    }
+
+    async _readChanges() {
+        let currentNames = new Set(await this._readInvoiceNames());
+        let addedInvoices = [...currentNames].filter(invoiceName => !this._invoiceNames.has(invoiceName));
+        let removedInvoices = [...this._invoiceNames].filter(invoiceName => !currentNames.has(invoiceName));
+        this._invoiceNames = currentNames;
+
+        let changedNames = this._changedNames;
+        this._changedNames = new Set();
+        for (const invoiceName of removedInvoices) this._invoiceDetails.delete(invoiceName);
+        for (const invoiceName of currentNames) {
+            if (this._invoiceDetails.has(invoiceName) && !changedNames.has(invoiceName)) continue;
+            try {
+                this._invoiceDetails.set(invoiceName, await this._readInvoiceDetails(invoiceName));
+            } catch (error) {
+                //* A file removed since the folder was read is left out, and is reported as removed by the next scan.
+                if (error.code != 'ENOENT') console.error(error);
+                this._invoiceDetails.delete(invoiceName);
+            }
+        }
+
+        if (addedInvoices.length || removedInvoices.length) this._onChange({addedInvoices, removedInvoices});
+    }
+
+    /**
+    * @method Lists the details of every file within the invoice folder as of the last scan.
+    * @returns an array of each file's details, as read by the readInvoiceDetails function.
+    */
+    getInvoiceDetails() {
+        return [...this._invoiceDetails.values()].filter(invoiceDetails => invoiceDetails);
+    }
+
+    _scheduleRescan() {
+        clearTimeout(this._rescanTimer);
+        this._rescanTimer = setTimeout(() => {
+            this._rescanTimer = null;
+            this.rescan().catch(error => console.error(error));
+        }, rescanDelay);
+    }
+
+    _startPeriodicRescans() {
+        if (this._rescanIntervalId) return;
+        this._watcher?.close();
+        this._watcher = null;
+
+        //* Object storage reports no changes, so only files with new names are read while rescanning periodically.
+        this._rescanIntervalId = setInterval(() => this.rescan().catch(error => console.error(error)), rescanInterval);
+        //* The interval should not keep the process alive on its own.
+        this._rescanIntervalId.unref();
+    }
+
+    /**
+    * @method Stops the file watcher and periodic rescans.
+    * @returns {void}
+    */
+    close() {
+        this._watcher?.close();
+        this._watcher = null;
+        clearTimeout(this._rescanTimer);
+        this._rescanTimer = null;
+        clearInterval(this._rescanIntervalId);
+        this._rescanIntervalId = null;
+    }
+}
@@ -0,0 +1,210 @@
+/*
+Tags and free text notes that sorters attach to invoices, such as "needs signature" or "partial page".
+
+Metadata is keyed by the page and the sha256 hash of the invoice's content rather than its path, so it stays attached to the file
+when it is sorted, undone, renamed or its directory is moved or merged.
+
+This is deliberate: files with identical content are treated as the same scan, so every copy shares one set of tags and notes,
+and a note added to a copy in the invoice directory also appears on the copy that was already sorted. Sorting a copy leaves its metadata on the copies that remain.
+The only change to an invoice's content made by the api is converting a scanned image to a pdf when it is sorted, which moves its metadata to the pdf,
+or copies it if an identical copy of the image is still elsewhere on the page, after which the pdf and the image each have their own metadata.
+
+Expected tables, created by migrations/0006_create_invoice_metadata.up.sql:
+    CREATE TABLE invoice_tags (
+        page_name VARCHAR(255) NOT NULL,
+        content_hash CHAR(64) NOT NULL,
+        tag VARCHAR(64) NOT NULL,
+        created_by INT NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (page_name, content_hash, tag),
+        INDEX invoice_tags_by_tag (page_name, tag)
+    );
+
+    CREATE TABLE invoice_notes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        page_name VARCHAR(255) NOT NULL,
+        content_hash CHAR(64) NOT NULL,
+        note_text TEXT NOT NULL,
+        created_by INT NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX invoice_notes_by_file (page_name, content_hash)
+    );
+*/
+import { withTransaction } from './dbaccess.js';
+
+//* Max length of a single tag, which matches the tag column.
+const maxTagLength = 64;
+//* Max number of tags a single invoice can have.
+const maxInvoiceTags = 20;
+//* Max length of a single note.
+const maxNoteLength = 2000;
+
+/**
+* @function Validates and normalizes the tags sent in a request's body, trimming each tag and removing duplicates.
+* @param {Array} tags - The requested tags.
+* @returns An array containing a message describing the first invalid tag, or null if every tag is valid, and the normalized tags.
+*/
+export function normalizeInvoiceTags(tags) {
+    if (!Array.isArray(tags)) return ['tags must be an array of strings!', null];
+
+    //* Tags are compared case insensitively, the same as the database does, and the first spelling of a tag is kept.
+    let normalizedTags = new Map();
+    for (const tag of tags) {
+        if (typeof tag != 'string' || !tag.trim()) return ['Every tag must be a non-empty string!', null];
+        if (tag.trim().length > maxTagLength) return [`Tag ${tag.trim()} is longer than ${maxTagLength} characters!`, null];
+        if (!normalizedTags.has(tag.trim().toLowerCase())) normalizedTags.set(tag.trim().toLowerCase(), tag.trim());
+    }
+    if (normalizedTags.size > maxInvoiceTags) return [`An invoice can have at most ${maxInvoiceTags} tags!`, null];
+
+    return [null, [...normalizedTags.values()]];
+}
+
+/**
+* @function Validates a note sent in a request's body.
+* @param {string} noteText - The requested note.
+* @returns A message describing why the note is invalid, or null if it is valid.
+*/
+export function getInvoiceNoteError(noteText) {
+    if (typeof noteText != 'string' || !noteText.trim()) return 'Provide a note!';
+    if (noteText.length > maxNoteLength) return `Notes can be at most ${maxNoteLength} characters!`;
+    return null;
+}
+
+/**
+* @function Retrieves the tags and notes attached to an invoice.
+* @param {Connection} db - Database connection attached to the request by the loadDB middleware.
+* @param {string} pageName - The page the invoice belongs to.
+* @param {string} contentHash - Hash of the invoice's content.
+* @returns An object containing the invoice's tags in alphabetical order and its notes, oldest first.
+*/
+export async function getInvoiceMetadata(db, pageName, contentHash) {
+    const [tagRows] = await db.query(
+        `SELECT tag FROM invoice_tags WHERE page_name = :pageName AND content_hash = :contentHash ORDER BY tag`,
+        { pageName, contentHash }
+    );
+    //? The author's name is joined in so that the client does not need to look up every user.
+    const [noteRows] = await db.query(
+        `SELECT invoice_notes.id, invoice_notes.note_text, invoice_notes.created_by, users.user_name, invoice_notes.created_at
+        FROM invoice_notes
+        LEFT JOIN users ON users.id = invoice_notes.created_by
+        WHERE invoice_notes.page_name = :pageName AND invoice_notes.content_hash = :contentHash
+        ORDER BY invoice_notes.created_at, invoice_notes.id`,
+        { pageName, contentHash }
+    );
+
+    return {
+        tags: tagRows.map(tagRow => tagRow.tag),
+        notes: noteRows.map(noteRow => ({
+            noteID: noteRow.id,
+            text: noteRow.note_text,
+            createdBy: noteRow.created_by,
+            userName: noteRow.user_name,
+            createdAt: noteRow.created_at
+        }))
+    };
+}
+
+/**
+* @function Adds a note to an invoice.
+* @param {Connection} db - Database connection attached to the request by the loadDB middleware.
+* @param {object} noteDetails - Object containing the pageName, the invoice's contentHash, the noteText and the id of the user adding it.
+* @returns The id of the new note.
+*/
+export async function addInvoiceNote(db, { pageName, contentHash, noteText, userId }) {
+    const [note] = await db.query(
+        `INSERT INTO invoice_notes (page_name, content_hash, note_text, created_by)
+        VALUES (:pageName, :contentHash, :noteText, :userId)`,
+        { pageName, contentHash, noteText: noteText.trim(), userId }
+    );
+
+    return note.insertId;
+}
+
+/**
+* @function Replaces the tags attached to an invoice, keeping when and by whom each unchanged tag was first added.
+* @param {object} tagDetails - Object containing the pageName, the invoice's contentHash, the normalized tags and the id of the user setting them.
+* @returns {void}
+*/
+export async function setInvoiceTags({ pageName, contentHash, tags, userId }) {
+    //! Both statements run in one transaction so that concurrent requests can not leave the invoice with a mix of both tag sets.
+    await withTransaction(async (transactionDB) => {
+        //* An empty list is replaced with an empty string, since IN () is invalid sql and no tag can be empty.
+        await transactionDB.query(
+            `DELETE FROM invoice_tags WHERE page_name = :pageName AND content_hash = :contentHash AND tag NOT IN (:tags)`,
+            { pageName, contentHash, tags: tags.length ? tags : [''] }
+        );
+        for (const tag of tags) {
+            await transactionDB.query(
+                `INSERT IGNORE INTO invoice_tags (page_name, content_hash, tag, created_by)
+                VALUES (:pageName, :contentHash, :tag, :userId)`,
+                { pageName, contentHash, tag, userId }
+            );
+        }
+    });
+}
+
+/**
+* @function Retrieves the content hash of every invoice on a page that has a tag, used to filter the invoice directory by tag.
+* @param {Connection} db - Database connection attached to the request by the loadDB middleware.
+* @param {string} pageName - The page the invoices belong to.
+* @param {string} tag - The tag to match, compared case insensitively.
+* @returns A set of content hashes.
+*/
+export async function getTaggedContentHashes(db, pageName, tag) {
+    const [tagRows] = await db.query(
+        `SELECT content_hash FROM invoice_tags WHERE page_name = :pageName AND tag = :tag`,
+        { pageName, tag: tag.trim() }
+    );
+
+    return new Set(tagRows.map(tagRow => tagRow.content_hash));
+}
+
+/**
+* @function Moves an invoice's tags and notes to new content, used after an image was converted to a pdf when it was sorted.
+* Tags the new content already has are kept once.
+* @param {string} pageName - The page the invoice belongs to.
+* @param {string} previousContentHash - Hash of the invoice's previous content.
+* @param {string} contentHash - Hash of the invoice's new content.
+* @param {boolean} isPreviousContentKept - If true, another copy of the previous content remains, so the tags and notes are copied instead of moved.
+* @returns {void}
+*/
+export async function moveInvoiceMetadata(pageName, previousContentHash, contentHash, isPreviousContentKept = false) {
+    await withTransaction(async (transactionDB) => {
+        if (isPreviousContentKept) {
+            await transactionDB.query(
+                `INSERT IGNORE INTO invoice_tags (page_name, content_hash, tag, created_by, created_at)
+                SELECT page_name, :contentHash, tag, created_by, created_at FROM invoice_tags WHERE page_name = :pageName AND content_hash = :previousContentHash`,
+                { pageName, previousContentHash, contentHash }
+            );
+            await transactionDB.query(
+                `INSERT INTO invoice_notes (page_name, content_hash, note_text, created_by, created_at)
+                SELECT page_name, :contentHash, note_text, created_by, created_at FROM invoice_notes WHERE page_name = :pageName AND content_hash = :previousContentHash
+                ORDER BY id`,
+                { pageName, previousContentHash, contentHash }
+            );
+            return;
+        }
+
+        await transactionDB.query(
+            `UPDATE IGNORE invoice_tags SET content_hash = :contentHash WHERE page_name = :pageName AND content_hash = :previousContentHash`,
+            { pageName, previousContentHash, contentHash }
+        );
+        //* Tags left behind by UPDATE IGNORE already exist on the new content.
+        await transactionDB.query(
+            `DELETE FROM invoice_tags WHERE page_name = :pageName AND content_hash = :previousContentHash`,
+            { pageName, previousContentHash }
+        );
+        //* Notes the new content already has, such as ones copied to it earlier, are kept once as well.
+        await transactionDB.query(
+            `DELETE previousNotes FROM invoice_notes AS previousNotes
+            JOIN invoice_notes AS notes ON notes.page_name = previousNotes.page_name AND notes.content_hash = :contentHash
+                AND notes.note_text = previousNotes.note_text AND notes.created_by = previousNotes.created_by AND notes.created_at = previousNotes.created_at
+            WHERE previousNotes.page_name = :pageName AND previousNotes.content_hash = :previousContentHash`,
+            { pageName, previousContentHash, contentHash }
+        );
+        await transactionDB.query(
+            `UPDATE invoice_notes SET content_hash = :contentHash WHERE page_name = :pageName AND content_hash = :previousContentHash`,
+            { pageName, previousContentHash, contentHash }
+        );
+    });
+}
@@ -0,0 +1,185 @@
+import { getDocumentProxy } from 'unpdf';
+import { scoreDirectoryName } from './directoryindex.js';
+
+//* Only the first pages are read, since the customer, date and invoice number are almost always printed at the top of an invoice.
+const maxTextPages = 2;
+//* Max number of directory suggestions returned for an invoice.
+const maxDirectorySuggestions = 5;
+
+const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const monthPattern = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+
+//* Labels that usually come right before the customer's name on an invoice.
+const customerLabelPattern = /^(bill(?:ed)?\s*to|sold\s*to|ship\s*to|customer(?:\s*name)?)\s*:?\s*(.*)$/i;
+//* Labels that mark the date the invoice was issued, along with the labels of other dates that should not be mistaken for it.
+const dateLabelPattern = /date\s*:?\s*$/i;
+const otherDateLabelPattern = /(due|ship(?:ped)?|order|delivery)\s*date\s*:?\s*$/i;
+const invoiceNumberPattern = /\b(?:invoice|inv)\.?\s*(?:no\.?|number|num|#)?\s*[:#]?\s*([A-Z0-9][A-Z0-9\-\/]{2,})/gi;
+
+/**
+* @function Extracts the text layer of the first pages of a pdf.
+* @param {Buffer} pdfData - The content of the pdf file.
+* @returns An array of the text lines found within the pdf, which is empty if the pdf has no text layer.
+*/
+export async function extractPdfTextLines(pdfData) {
+    let pdfDocument = await getDocumentProxy(new Uint8Array(pdfData));
+    try {
+        let textLines = [];
+        for (let pageNumber = 1; pageNumber <= Math.min(pdfDocument.numPages, maxTextPages); pageNumber++) {
+            let page = await pdfDocument.getPage(pageNumber);
+            let { items } = await page.getTextContent();
+
+            //? Joins the text items together, starting a new line wherever the pdf marks the end of one.
+            let currentLine = '';
+            for (const item of items) {
+                currentLine += item.str ?? '';
+                if (item.hasEOL) {
+                    textLines.push(currentLine);
+                    currentLine = '';
+                }
+            }
+            textLines.push(currentLine);
+        }
+
+        return textLines.map(line => line.replace(/\s+/g, ' ').trim()).filter(line => line);
+    } finally {
+        await pdfDocument.loadingTask.destroy();
+    }
+}
+
+/**
+* @function Lowercases a string and replaces any punctuation with spaces so that names can be compared regardless of formatting.
+* @param {string} text - The text to normalize.
+* @returns The normalized text.
+*/
+function normalizeText(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+* @function Finds every date within the invoice's text, placing dates that follow an invoice date label first.
+* @param {Array} textLines - The invoice's text lines.
+* @returns An array of objects containing the date as a YYYY-MM-DD string and whether it followed a date label.
+*/
+export function findInvoiceDates(textLines) {
+    let latestYear = new Date().getFullYear() + 1;
+    let foundDates = [];
+
+    let addDate = (year, month, day, precedingText) => {
+        if (year < 100) year += 2000;
+        if (year < 1990 || year > latestYear || month < 1 || month > 12 || day < 1 || day > 31) return;
+        let date = `${year}-${`${month}`.padStart(2, '0')}-${`${day}`.padStart(2, '0')}`;
+        if (foundDates.some(foundDate => foundDate.date == date)) return;
+        foundDates.push({date, year, isLabeled: dateLabelPattern.test(precedingText) && !otherDateLabelPattern.test(precedingText)});
+    };
+
+    for (const [lineIndex, line] of textLines.entries()) {
+        //* The previous line is included, since labels are sometimes printed on the line above their value.
+        let linePrefix = (offset) => `${lineIndex && !line.substring(0, offset).trim() ? textLines[lineIndex - 1] : ''} ${line.substring(0, offset)}`;
+
+        for (const match of line.matchAll(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g)) {
+            addDate(+match[1], +match[2], +match[3], linePrefix(match.index));
+        }
+        for (const match of line.matchAll(/\b(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4}|\d{2})\b/g)) {
+            addDate(+match[3], +match[1], +match[2], linePrefix(match.index));
+        }
+        for (const match of line.matchAll(new RegExp(`\\b${monthPattern}\\s+(\\d{1,2}),?\\s+(\\d{4})\\b`, 'gi'))) {
+            addDate(+match[3], monthNames.indexOf(match[1].toLowerCase()) + 1, +match[2], linePrefix(match.index));
+        }
+        for (const match of line.matchAll(new RegExp(`\\b(\\d{1,2})\\s+${monthPattern},?\\s+(\\d{4})\\b`, 'gi'))) {
+            addDate(+match[3], monthNames.indexOf(match[2].toLowerCase()) + 1, +match[1], linePrefix(match.index));
+        }
+    }
+
+    return [...foundDates.filter(foundDate => foundDate.isLabeled), ...foundDates.filter(foundDate => !foundDate.isLabeled)];
+}
+
+/**
+* @function Finds invoice numbers within the invoice's text, such as the value following "Invoice #".
+* @param {Array} textLines - The invoice's text lines.
+* @returns An array of unique invoice number strings.
+*/
+export function findInvoiceNumbers(textLines) {
+    let invoiceNumbers = new Set();
+    for (const line of textLines) {
+        for (const match of line.matchAll(invoiceNumberPattern)) {
+            //* Invoice numbers always contain at least one digit, which filters out words like "Invoice Total".
+            if (/\d/.test(match[1])) invoiceNumbers.add(match[1]);
+        }
+    }
+    return [...invoiceNumbers].slice(0, 5);
+}
+
+/**
+* @function Finds the lines most likely to contain the customer's name, being the lines following a customer label along with the first lines of the invoice.
+* @param {Array} textLines - The invoice's text lines.
+* @returns An array of candidate lines, with labeled lines first.
+*/
+function findCustomerLines(textLines) {
+    let labeledLines = [];
+    for (const [lineIndex, line] of textLines.entries()) {
+        let labelMatch = line.match(customerLabelPattern);
+        if (!labelMatch) continue;
+        if (labelMatch[2]) labeledLines.push(labelMatch[2]);
+        if (textLines[lineIndex + 1]) labeledLines.push(textLines[lineIndex + 1]);
+    }
+    return {labeledLines: labeledLines.slice(0, 8), headerLines: textLines.slice(0, 5)};
+}
+
+/**
+* @function Suggests destination directories and a year for an invoice based on its text.
+* @param {Array} textLines - The invoice's text lines.
+* @param {Array} directoryEntries - Every indexed directory, each containing its directoryName and letterFolder.
+* @returns An object containing the ranked directory suggestions, the suggested year, and the dates and invoice numbers that were found.
+*/
+export function suggestInvoiceDestination(textLines, directoryEntries) {
+    let invoiceDates = findInvoiceDates(textLines);
+    let invoiceNumbers = findInvoiceNumbers(textLines);
+
+    //? Suggests the year of the labeled invoice date, otherwise the most common year among every date found.
+    let suggestedYear = null;
+    if (invoiceDates.length && invoiceDates[0].isLabeled) {
+        suggestedYear = `${invoiceDates[0].year}`;
+    } else if (invoiceDates.length) {
+        let yearCounts = {};
+        for (const { year } of invoiceDates) yearCounts[year] = (yearCounts[year] ?? 0) + 1;
+        suggestedYear = Object.keys(yearCounts).sort((a, b) => yearCounts[b] - yearCounts[a])[0];
+    }
+
+    let { labeledLines, headerLines } = findCustomerLines(textLines);
+    let normalizedLabeledLines = labeledLines.map(normalizeText);
+    let normalizedCandidateLines = [...normalizedLabeledLines, ...headerLines.map(normalizeText)];
+    let normalizedText = ` ${normalizeText(textLines.join(' '))} `;
+
+    let directorySuggestions = [];
+    for (const { directoryName, letterFolder } of directoryEntries) {
+        let normalizedName = normalizeText(directoryName);
+        //* Very short names match too much text to be useful suggestions.
+        if (normalizedName.length < 3) continue;
+
+        //? Ranks names found beneath a customer label highest, followed by names found anywhere in the text, and lastly names that closely match a candidate line.
+        let suggestion = null;
+        if (normalizedLabeledLines.some(line => ` ${line} `.includes(` ${normalizedName} `))) {
+            suggestion = {score: 100, matchType: 'labeled'};
+        } else if (normalizedText.includes(` ${normalizedName} `)) {
+            suggestion = {score: 80, matchType: 'text'};
+        } else {
+            for (const line of normalizedCandidateLines) {
+                let match = scoreDirectoryName(line, normalizedName, 'fuzzy');
+                if (match?.matchType == 'fuzzy' && (!suggestion || match.score > suggestion.score)) suggestion = {score: match.score, matchType: 'fuzzy'};
+            }
+        }
+
+        if (suggestion) directorySuggestions.push({directoryName, letterFolder, directoryFolderPath: `${letterFolder}/${directoryName}`, ...suggestion});
+    }
+
+    //* Longer names are preferred between equal scores, since they are less likely to be a coincidental match.
+    directorySuggestions.sort((a, b) => b.score - a.score || b.directoryName.length - a.directoryName.length);
+
+    return {
+        directories: directorySuggestions.slice(0, maxDirectorySuggestions),
+        year: suggestedYear,
+        invoiceDates: invoiceDates.map(({ date, isLabeled }) => ({date, isLabeled})),
+        invoiceNumbers
+    };
+}
@@ -0,0 +1,149 @@
+/*
+Tracks failed logins per username and per ip address so that repeated guesses are slowed down with an exponential backoff,
+and eventually locked out for a period of time. Every lockout is logged so that admins can review them.
+
+Expected tables, created by migrations/0003_create_login_attempts.up.sql:
+    CREATE TABLE login_attempts (
+        attempt_key VARCHAR(320) PRIMARY KEY,
+        failed_count INT NOT NULL DEFAULT 0,
+        last_failed_at DATETIME NULL,
+        locked_until DATETIME NULL
+    );
+
+    CREATE TABLE lockout_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        attempt_key VARCHAR(320) NOT NULL,
+        failed_count INT NOT NULL,
+        ip_address VARCHAR(45) NULL,
+        locked_until DATETIME NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+*/
+
+// Number of failed attempts before a key is locked out instead of only being slowed down.
+const lockoutThreshold = 5;
+// Length of the first lockout in seconds, currently 15 minutes, which doubles with every failed attempt after it.
+const lockoutSeconds = 15 * 60;
+// Longest a key can be locked out for in seconds, currently one day.
+const maxLockoutSeconds = 24 * 60 * 60;
+
+/**
+* @function Builds the keys that failed attempts are tracked under for a login request.
+* @param {string} userName - The username that was entered.
+* @param {string} ipAddress - The ip address the request came from.
+* @returns An array containing the username key and the ip address key.
+*/
+export function getLoginAttemptKeys(userName, ipAddress) {
+    return [`user:${`${userName}`.toLowerCase()}`, `ip:${ipAddress}`];
+}
+
+/**
+* @function Calculates how long a key must wait before its next attempt, doubling with every failed attempt.
+* @param {number} failedCount - Number of failed attempts made under the key.
+* @returns The number of seconds to wait.
+*/
+function getBackoffSeconds(failedCount) {
+    if (failedCount < lockoutThreshold) return 2 ** (failedCount - 1);
+    return Math.min(lockoutSeconds * 2 ** (failedCount - lockoutThreshold), maxLockoutSeconds);
+}
+
+/**
+* @function Checks if any of the passed in keys are currently locked.
+* @param {Connection} db - Database connection attached to the request by the loadDB middleware.
+* @param {Array} attemptKeys - The keys to check.
+* @returns The number of seconds until every key is unlocked, or 0 if none of the keys are locked.
+*/
+export async function getLoginLockoutSeconds(db, attemptKeys) {
+    const [[lockout]] = await db.query(
+        `SELECT MAX(TIMESTAMPDIFF(SECOND, NOW(), locked_until)) AS remaining_seconds
+        FROM login_attempts
+        WHERE attempt_key IN (:attemptKeys) AND locked_until > NOW()`,
+        { attemptKeys }
+    );
+
+    return Math.max(lockout?.remaining_seconds ?? 0, 0);
+}
+
+/**
+* @function Records a failed login under each of the passed in keys, locking each key for its backoff period. Failures older than a day are forgotten.
+* @param {Connection} db - Database connection attached to the request by the loadDB middleware.
+* @param {Array} attemptKeys - The keys to record the failure under.
+* @param {string} ipAddress - The ip address the request came from, stored with any lockout events.
+* @returns The number of seconds until every key can be attempted again.
+*/
+export async function recordFailedLogin(db, attemptKeys, ipAddress) {
+    let retryAfterSeconds = 0;
+
+    for (const attemptKey of attemptKeys) {
+        //! failed_count is assigned before last_failed_at, so it is compared against the previous failure's time.
+        await db.query(
+            `INSERT INTO login_attempts (attempt_key, failed_count, last_failed_at)
+            VALUES (:attemptKey, 1, NOW())
+            ON DUPLICATE KEY UPDATE
+                failed_count = IF(last_failed_at < NOW() - INTERVAL 1 DAY, 1, failed_count + 1),
+                last_failed_at = NOW()`,
+            { attemptKey }
+        );
+        const [[attempt]] = await db.query(
+            `SELECT failed_count FROM login_attempts WHERE attempt_key = :attemptKey`,
+            { attemptKey }
+        );
+
+        const backoffSeconds = getBackoffSeconds(attempt.failed_count);
+        await db.query(
+            `UPDATE login_attempts SET locked_until = DATE_ADD(NOW(), INTERVAL :backoffSeconds SECOND) WHERE attempt_key = :attemptKey`,
+            { attemptKey, backoffSeconds }
+        );
+
+        if (attempt.failed_count >= lockoutThreshold) {
+            await db.query(
+                `INSERT INTO lockout_events (attempt_key, failed_count, ip_address, locked_until)
+                VALUES (:attemptKey, :failedCount, :ipAddress, DATE_ADD(NOW(), INTERVAL :backoffSeconds SECOND))`,
+                { attemptKey, failedCount: attempt.failed_count, ipAddress, backoffSeconds }
+            );
+            console.log(`Login locked out for ${attemptKey} after ${attempt.failed_count} failed attempts.`);
+        }
+
+        retryAfterSeconds = Math.max(retryAfterSeconds, backoffSeconds);
+    }
+
+    return retryAfterSeconds;
+}
+
+/**
+* @function Forgets the failed logins recorded under a key after a successful login.
+* @param {Connection} db - Database connection attached to the request by the loadDB middleware.
+* @param {string} attemptKey - The key to clear.
+* @returns {void}
+*/
+export async function clearFailedLogins(db, attemptKey) {
+    await db.query(`DELETE FROM login_attempts WHERE attempt_key = :attemptKey`, { attemptKey });
+}
+
+/**
+* @function Lists the most recent lockout events for admins to review. Should run after authorizeUser('admin').
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export async function listLockoutEvents(req, res, next) {
+    try {
+        // Limits the number of returned events to between 1 and 500, defaulting to 100.
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+        const [lockoutEvents] = await req.db.query(
+            `SELECT id, attempt_key AS attemptKey, failed_count AS failedCount, ip_address AS ipAddress, locked_until AS lockedUntil, created_at AS createdAt
+            FROM lockout_events
+            ORDER BY created_at DESC, id DESC
+            LIMIT :limit`,
+            { limit }
+        );
+
+        res.status(200).json({lockoutEvents});
+    } catch (error) {
+        // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+        console.log(error);
+        res.status(500).json(`Failed to list lockout events!\n ${error.message}`);
+    }
+}
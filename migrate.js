@@ -0,0 +1,87 @@
+/*
+Command line entry point for the database migrations, see migrations.js.
+    node migrate.js status
+    node migrate.js up [version]
+    node migrate.js down [steps]
+    node migrate.js create-admin <userName>
+
+create-admin creates an admin account, which is how a fresh install gets its first admin since registering requires an invite code from one.
+The password is read from the ADMIN_PASSWORD environment variable, or otherwise from the first line piped into the command, so that it never appears in the shell's history.
+*/
+import { createInterface } from 'readline';
+import { openMigrationConnection } from './dbaccess.js';
+import { getMigrationStatus, migrateUp, migrateDown } from './migrations.js';
+import { createAdminUser } from './accounts.js';
+
+/**
+* @function Reads the new admin's password from the ADMIN_PASSWORD environment variable, or from the first line of stdin if it is not set.
+* @returns The password, or an empty string if none was passed in.
+*/
+async function readAdminPassword() {
+    if (process.env.ADMIN_PASSWORD) return process.env.ADMIN_PASSWORD;
+
+    let lineReader = createInterface({input: process.stdin});
+    try {
+        for await (const line of lineReader) return line;
+        return '';
+    } finally {
+        lineReader.close();
+    }
+}
+
+async function runMigrationCommand(command = 'status', commandArgument) {
+    if (!['status', 'up', 'down', 'create-admin'].includes(command)) throw new Error(`Unknown command ${command}! Use status, up [version], down [steps] or create-admin <userName>.`);
+    if (command == 'create-admin' && !commandArgument) throw new Error('Provide the new admin\'s user name, create-admin <userName>.');
+
+    let connection = await openMigrationConnection();
+    try {
+        switch (command) {
+            case 'status': {
+                let { appliedMigrations, pendingMigrations, changedMigrations, unknownMigrations } = await getMigrationStatus(connection);
+                for (const appliedMigration of appliedMigrations) console.log(`Applied   ${appliedMigration.version} ${appliedMigration.name} at ${appliedMigration.appliedAt.toISOString()}`);
+                for (const pendingMigration of pendingMigrations) console.log(`Pending   ${pendingMigration.version} ${pendingMigration.name}`);
+                for (const changedMigration of changedMigrations) console.log(`Changed   ${changedMigration.version} ${changedMigration.name} - its up file was edited after it was applied.`);
+                for (const unknownMigration of unknownMigrations) console.log(`Unknown   ${unknownMigration.version} ${unknownMigration.name} - it has no file within the migrations folder.`);
+                return !pendingMigrations.length;
+            }
+            case 'up': {
+                let targetVersion = commandArgument === undefined ? Infinity : parseInt(commandArgument);
+                if (Number.isNaN(targetVersion)) throw new Error(`Invalid version ${commandArgument}!`);
+
+                let appliedLabels = await migrateUp(connection, targetVersion);
+                console.log(appliedLabels.length ? `Applied Migrations: ${appliedLabels.join(', ')}.` : 'No pending migrations to apply.');
+                return true;
+            }
+            case 'down': {
+                let steps = commandArgument === undefined ? 1 : parseInt(commandArgument);
+                if (!(steps > 0)) throw new Error(`Invalid number of steps ${commandArgument}!`);
+
+                let revertedLabels = await migrateDown(connection, steps);
+                console.log(revertedLabels.length ? `Reversed Migrations: ${revertedLabels.join(', ')}.` : 'No applied migrations to reverse.');
+                return true;
+            }
+            case 'create-admin': {
+                //! The users table only has the role column once the migrations are applied.
+                let { pendingMigrations } = await getMigrationStatus(connection);
+                if (pendingMigrations.length) throw new Error('Apply the pending migrations with up before creating an admin.');
+
+                let userKey = await readAdminPassword();
+                //* The account queries use named placeholders, which are only enabled now that no migration files will be run on this connection.
+                connection.config.namedPlaceholders = true;
+                let userID = await createAdminUser(connection, {userName: commandArgument, userKey});
+                console.log(`Admin ${commandArgument} created with id ${userID}.`);
+                return true;
+            }
+        }
+    } finally {
+        await connection.end();
+    }
+}
+
+try {
+    //* Exits with a failing code if the command failed, or if the status shows pending migrations, so that deploy scripts can check the result.
+    process.exitCode = (await runMigrationCommand(process.argv[2], process.argv[3])) ? 0 : 1;
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,206 @@
+/*
+Versions the database schema with the sql files within the migrations folder, so that every install creates the same tables.
+
+Each migration is a pair of files named after its version and a short description:
+    0001_create_users.up.sql - Applies the migration.
+    0001_create_users.down.sql - Reverses it.
+Migrations are applied in order of version and recorded within the schema_migrations table, along with a checksum of their up file so that edits to an applied migration are reported.
+MySQL commits every table change as soon as it runs, so a migration that fails part way through can not be rolled back, and each one should be safe to run again.
+The first migration adopts the users table of installs that predate the migrations, and reversing it only drops the columns it added so that no accounts are lost.
+
+Migrations are run from the command line with the migrate script:
+    npm run migrate -- status - Lists the applied and pending migrations.
+    npm run migrate -- up [version] - Applies every pending migration, or only those up to and including the version.
+    npm run migrate -- down [steps] - Reverses the last applied migration, or the number of steps passed in.
+    npm run migrate -- create-admin <userName> - Creates an admin account, used to create the first admin of a fresh install, see migrate.js.
+The server checks the schema before it starts and refuses to start while any migration is pending, unless DB_MIGRATE_ON_START is set to true, in which case they are applied first.
+
+Expected table, which is created by this module:
+    CREATE TABLE schema_migrations (
+        version INT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+*/
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { openMigrationConnection } from './dbaccess.js';
+
+const migrationsFolderPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+//* Matches a migration file's name, capturing its version, its name and whether it is the up or down file.
+const migrationFilePattern = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+//* Name of the lock held while migrating, so that two servers starting at once do not apply the same migration twice.
+const migrationLockName = 'invoice_sorter_migrations';
+//* How long to wait for another process to finish migrating before giving up, in seconds.
+const migrationLockTimeout = 60;
+
+/**
+* @function Reads every migration within the migrations folder.
+* @returns An array of objects containing each migration's version, name, up and down file paths, and the checksum of its up file, ordered by version.
+*/
+async function readMigrations() {
+    let migrations = new Map();
+    for (const fileName of await fs.readdir(migrationsFolderPath)) {
+        let fileNameMatch = fileName.match(migrationFilePattern);
+        if (!fileNameMatch) continue;
+
+        let [, versionString, name, direction] = fileNameMatch;
+        let version = parseInt(versionString);
+        let migration = migrations.get(version) ?? {version, name, upPath: null, downPath: null, checksum: null};
+        if (migration.name != name) throw new Error(`Migration version ${version} is used by both ${migration.name} and ${name}.`);
+        migration[`${direction}Path`] = path.join(migrationsFolderPath, fileName);
+        migrations.set(version, migration);
+    }
+
+    for (const migration of migrations.values()) {
+        if (!migration.upPath) throw new Error(`Migration ${migration.version}_${migration.name} is missing its up file.`);
+        migration.checksum = createHash('sha256').update(await fs.readFile(migration.upPath)).digest('hex');
+    }
+
+    return [...migrations.values()].sort((a, b) => a.version - b.version);
+}
+
+/**
+* @function Describes a migration by its version and name, as written in its file names.
+* @param {object} migration - Object containing the migration's version and name.
+* @returns The migration's label, such as 0001_create_users.
+*/
+function getMigrationLabel({ version, name }) {
+    return `${`${version}`.padStart(4, '0')}_${name}`;
+}
+
+//! Named placeholders are not enabled on migration connections, since they would be parsed within the migration files, so these queries use positional placeholders.
+async function getAppliedMigrations(connection) {
+    await connection.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum CHAR(64) NOT NULL,
+            applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`
+    );
+    const [appliedMigrations] = await connection.query(`SELECT version, name, checksum, applied_at AS appliedAt FROM schema_migrations ORDER BY version`);
+    return appliedMigrations;
+}
+
+/**
+* @function Compares the migration files against the migrations recorded as applied.
+* @param {Connection} connection - Connection opened with openMigrationConnection.
+* @returns An object containing the applied migrations, the pending migrations, the applied migrations whose up file has changed since,
+* and the applied migrations that no longer have files, which happens when the code is older than the database.
+*/
+export async function getMigrationStatus(connection) {
+    let migrations = await readMigrations();
+    let appliedMigrations = await getAppliedMigrations(connection);
+    let appliedVersions = new Map(appliedMigrations.map(appliedMigration => [appliedMigration.version, appliedMigration]));
+    let migrationVersions = new Set(migrations.map(migration => migration.version));
+
+    return {
+        appliedMigrations,
+        pendingMigrations: migrations.filter(migration => !appliedVersions.has(migration.version)),
+        changedMigrations: migrations.filter(migration => appliedVersions.has(migration.version) && appliedVersions.get(migration.version).checksum != migration.checksum),
+        unknownMigrations: appliedMigrations.filter(appliedMigration => !migrationVersions.has(appliedMigration.version))
+    };
+}
+
+/**
+* @function Runs a task while holding the migration lock, so that only one process migrates the database at a time.
+* @param {Connection} connection - Connection opened with openMigrationConnection.
+* @param {function} migrationTask - Async function that performs the migrations.
+* @returns The result of the task.
+*/
+async function withMigrationLock(connection, migrationTask) {
+    const [[{ isLocked }]] = await connection.query(`SELECT GET_LOCK(?, ?) AS isLocked`, [migrationLockName, migrationLockTimeout]);
+    if (isLocked != 1) throw new Error('Timed out waiting for another process to finish migrating the database.');
+    try {
+        return await migrationTask();
+    } finally {
+        await connection.query(`SELECT RELEASE_LOCK(?)`, [migrationLockName]);
+    }
+}
+
+/**
+* @function Applies every pending migration in order of version, stopping at the first one that fails.
+* @param {Connection} connection - Connection opened with openMigrationConnection.
+* @param {number} targetVersion - If set, only migrations up to and including this version are applied.
+* @returns An array of the labels of the migrations that were applied.
+*/
+export async function migrateUp(connection, targetVersion = Infinity) {
+    return await withMigrationLock(connection, async () => {
+        let { pendingMigrations } = await getMigrationStatus(connection);
+        let appliedLabels = [];
+        for (const migration of pendingMigrations.filter(pendingMigration => pendingMigration.version <= targetVersion)) {
+            try {
+                await connection.query(await fs.readFile(migration.upPath, 'utf8'));
+            } catch (error) {
+                throw new Error(`Migration ${getMigrationLabel(migration)} failed!\n${error.message}`);
+            }
+            await connection.query(`INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)`, [migration.version, migration.name, migration.checksum]);
+            appliedLabels.push(getMigrationLabel(migration));
+        }
+        return appliedLabels;
+    });
+}
+
+/**
+* @function Reverses the most recently applied migrations using their down files, newest first.
+* @param {Connection} connection - Connection opened with openMigrationConnection.
+* @param {number} steps - The number of migrations to reverse.
+* @returns An array of the labels of the migrations that were reversed.
+*/
+export async function migrateDown(connection, steps = 1) {
+    return await withMigrationLock(connection, async () => {
+        let migrations = new Map((await readMigrations()).map(migration => [migration.version, migration]));
+        let appliedMigrations = await getAppliedMigrations(connection);
+        let revertedLabels = [];
+        for (const appliedMigration of appliedMigrations.reverse().slice(0, steps)) {
+            let migration = migrations.get(appliedMigration.version);
+            if (!migration?.downPath) throw new Error(`Migration ${getMigrationLabel(appliedMigration)} has no down file and can not be reversed.`);
+            try {
+                await connection.query(await fs.readFile(migration.downPath, 'utf8'));
+            } catch (error) {
+                throw new Error(`Reversing migration ${getMigrationLabel(migration)} failed!\n${error.message}`);
+            }
+            await connection.query(`DELETE FROM schema_migrations WHERE version = ?`, [migration.version]);
+            revertedLabels.push(getMigrationLabel(migration));
+        }
+        return revertedLabels;
+    });
+}
+
+/**
+* @function Checks that the database schema is up to date before the server starts, applying any pending migrations first if requested.
+* @param {boolean} shouldMigrate - True to apply pending migrations, false to only check for them.
+* @returns An array containing a boolean, true if the schema is up to date, and a message describing the outcome.
+*/
+export async function prepareDatabaseSchema(shouldMigrate) {
+    let connection;
+    try {
+        connection = await openMigrationConnection();
+
+        let schemaMessage = '';
+        if (shouldMigrate) {
+            let appliedLabels = await migrateUp(connection);
+            if (appliedLabels.length) schemaMessage += `Applied Migrations: ${appliedLabels.join(', ')}.\n`;
+        }
+
+        let { appliedMigrations, pendingMigrations, changedMigrations, unknownMigrations } = await getMigrationStatus(connection);
+        if (pendingMigrations.length) {
+            return [false, `Database schema is behind, ${pendingMigrations.length} migrations are pending: ${pendingMigrations.map(getMigrationLabel).join(', ')}.\nRun npm run migrate -- up, or set DB_MIGRATE_ON_START to true.`];
+        }
+        //* Changed and unknown migrations do not stop the server, since the tables they describe should still exist, but they are reported so they can be looked into.
+        if (changedMigrations.length) schemaMessage += `Warning - Applied migrations have since been edited: ${changedMigrations.map(getMigrationLabel).join(', ')}.\n`;
+        if (unknownMigrations.length) schemaMessage += `Warning - Database has migrations this version does not know about: ${unknownMigrations.map(getMigrationLabel).join(', ')}.\n`;
+
+        let latestMigration = appliedMigrations[appliedMigrations.length - 1];
+        schemaMessage += `Database schema is up to date at ${latestMigration ? getMigrationLabel(latestMigration) : 'no migrations'}.`;
+        return [true, schemaMessage];
+    } catch (error) {
+        return [false, `Failed to check the database schema!\n${error.message}`];
+    } finally {
+        await connection?.end();
+    }
+}
@@ -0,0 +1,27 @@
+-- The users table itself is the baseline that predates the migrations and holds every account, so only the columns added by this migration are dropped.
+SET @dropColumnSql = IF(
+    (SELECT COUNT(*) FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'last_login_at') = 1,
+    'ALTER TABLE users DROP COLUMN last_login_at',
+    'SELECT 1'
+);
+PREPARE dropColumnStatement FROM @dropColumnSql;
+EXECUTE dropColumnStatement;
+DEALLOCATE PREPARE dropColumnStatement;
+
+SET @dropColumnSql = IF(
+    (SELECT COUNT(*) FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'is_disabled') = 1,
+    'ALTER TABLE users DROP COLUMN is_disabled',
+    'SELECT 1'
+);
+PREPARE dropColumnStatement FROM @dropColumnSql;
+EXECUTE dropColumnStatement;
+DEALLOCATE PREPARE dropColumnStatement;
+
+SET @dropColumnSql = IF(
+    (SELECT COUNT(*) FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'role') = 1,
+    'ALTER TABLE users DROP COLUMN role',
+    'SELECT 1'
+);
+PREPARE dropColumnStatement FROM @dropColumnSql;
+EXECUTE dropColumnStatement;
+DEALLOCATE PREPARE dropColumnStatement;
@@ -0,0 +1,35 @@
+-- Accounts used to log into the api, see accounts.js.
+-- The users table predates the migrations, so on existing installs it is adopted as the baseline and only the columns added since are created.
+CREATE TABLE IF NOT EXISTS users (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_name VARCHAR(255) NOT NULL UNIQUE,
+    user_key VARCHAR(255) NOT NULL
+);
+
+-- MySQL has no ADD COLUMN IF NOT EXISTS, so each column is only added through a prepared statement when information_schema shows it is missing.
+SET @addColumnSql = IF(
+    (SELECT COUNT(*) FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'role') = 0,
+    'ALTER TABLE users ADD COLUMN role ENUM(''viewer'', ''sorter'', ''folder-manager'', ''admin'') NOT NULL DEFAULT ''viewer''',
+    'SELECT 1'
+);
+PREPARE addColumnStatement FROM @addColumnSql;
+EXECUTE addColumnStatement;
+DEALLOCATE PREPARE addColumnStatement;
+
+SET @addColumnSql = IF(
+    (SELECT COUNT(*) FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'is_disabled') = 0,
+    'ALTER TABLE users ADD COLUMN is_disabled BOOLEAN NOT NULL DEFAULT FALSE',
+    'SELECT 1'
+);
+PREPARE addColumnStatement FROM @addColumnSql;
+EXECUTE addColumnStatement;
+DEALLOCATE PREPARE addColumnStatement;
+
+SET @addColumnSql = IF(
+    (SELECT COUNT(*) FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'last_login_at') = 0,
+    'ALTER TABLE users ADD COLUMN last_login_at DATETIME NULL',
+    'SELECT 1'
+);
+PREPARE addColumnStatement FROM @addColumnSql;
+EXECUTE addColumnStatement;
+DEALLOCATE PREPARE addColumnStatement;
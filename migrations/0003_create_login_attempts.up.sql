@@ -0,0 +1,16 @@
+-- Failed login tracking and lockout history, see loginattempts.js.
+CREATE TABLE IF NOT EXISTS login_attempts (
+    attempt_key VARCHAR(320) PRIMARY KEY,
+    failed_count INT NOT NULL DEFAULT 0,
+    last_failed_at DATETIME NULL,
+    locked_until DATETIME NULL
+);
+
+CREATE TABLE IF NOT EXISTS lockout_events (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    attempt_key VARCHAR(320) NOT NULL,
+    failed_count INT NOT NULL,
+    ip_address VARCHAR(45) NULL,
+    locked_until DATETIME NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
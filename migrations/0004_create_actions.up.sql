@@ -0,0 +1,12 @@
+-- Journal of file system actions used for undo and redo, see actions.js.
+CREATE TABLE IF NOT EXISTS actions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    page_name VARCHAR(255) NOT NULL,
+    action_type VARCHAR(64) NOT NULL,
+    undo_info JSON NOT NULL,
+    redo_info JSON NULL,
+    status ENUM('done', 'undone') NOT NULL DEFAULT 'done',
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
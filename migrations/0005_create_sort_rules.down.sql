@@ -0,0 +1 @@
+DROP TABLE IF EXISTS sort_rules;
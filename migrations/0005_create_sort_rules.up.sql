@@ -0,0 +1,14 @@
+-- Admin defined rules used to sort invoices automatically, see sortrules.js.
+CREATE TABLE IF NOT EXISTS sort_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    page_name VARCHAR(255) NOT NULL,
+    rule_name VARCHAR(255) NOT NULL,
+    match_type ENUM('filename', 'text') NOT NULL,
+    pattern VARCHAR(1024) NOT NULL,
+    directory_folder_path VARCHAR(1024) NOT NULL,
+    year_expression VARCHAR(255) NOT NULL,
+    priority INT NOT NULL DEFAULT 0,
+    is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INT NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS invoice_notes;
+DROP TABLE IF EXISTS invoice_tags;
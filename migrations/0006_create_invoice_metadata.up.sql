@@ -0,0 +1,20 @@
+-- Tags and notes attached to invoices by the hash of their content, see invoicemetadata.js.
+CREATE TABLE IF NOT EXISTS invoice_tags (
+    page_name VARCHAR(255) NOT NULL,
+    content_hash CHAR(64) NOT NULL,
+    tag VARCHAR(64) NOT NULL,
+    created_by INT NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (page_name, content_hash, tag),
+    INDEX invoice_tags_by_tag (page_name, tag)
+);
+
+CREATE TABLE IF NOT EXISTS invoice_notes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    page_name VARCHAR(255) NOT NULL,
+    content_hash CHAR(64) NOT NULL,
+    note_text TEXT NOT NULL,
+    created_by INT NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX invoice_notes_by_file (page_name, content_hash)
+);
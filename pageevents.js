@@ -0,0 +1,70 @@
+/*
+Streams a page's events to the client using Server-Sent Events, so that clients are told about new invoices, directory changes and other users'
+actions without polling. Each event is sent with its type as the event name and the event object as json data.
+
+Event types:
+    invoicesAdded / invoicesRemoved - {invoiceNames} of the files that arrived in or left the invoice directory.
+    directoriesChanged - {letterFolder, addedDirectories, removedDirectories} within a letter folder.
+    action - {action, status, userId, userName, ...details} of an action performed through the api.
+    pageClosed - The page was reloaded or removed, and the client should reconnect.
+    sessionExpired - The access token the stream was opened with expired, and the client should reconnect with a new one.
+*/
+
+//* How often a comment is sent over an idle stream so that proxies do not close the connection, currently every 30 seconds.
+const keepAliveInterval = 30 * 1000;
+//* How long clients wait before reconnecting after the stream closes, in milliseconds.
+const reconnectDelay = 3000;
+
+/**
+* @function Copies an access token passed in the accessToken query parameter into the authorization header, since the browser's EventSource can not send headers.
+* Should run before validateUserSession, and only on the event stream route.
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export function acceptQueryAccessToken(req, res, next) {
+    if (!req.headers.authorization && typeof req.query.accessToken == 'string') req.headers.authorization = req.query.accessToken;
+    next();
+}
+
+/**
+* @function Opens an event stream on the response and forwards every event emitted by the page's FileSystem until the client disconnects.
+* Should run after validateUserSession, the stream is closed once the access token it was opened with expires.
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that the event stream is written to.
+* @param {FileSystem} fileSystem - The page's FileSystem, which emits pageEvent events.
+* @returns {void}
+*/
+export function streamPageEvents(req, res, fileSystem) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        //* Stops nginx from buffering the stream.
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${reconnectDelay}\n\n`);
+
+    let sendEvent = (pageEvent) => {
+        res.write(`event: ${pageEvent.type}\ndata: ${JSON.stringify(pageEvent)}\n\n`);
+        if (pageEvent.type == 'pageClosed' || pageEvent.type == 'sessionExpired') closeStream();
+    };
+
+    let keepAliveId = setInterval(() => res.write(': keep-alive\n\n'), keepAliveInterval);
+    //! The session is only validated when the stream is opened, so it is closed once the access token expires to make the client validate again.
+    let sessionExpiryId = req.user.exp ? setTimeout(() => sendEvent({type: 'sessionExpired'}), Math.max(req.user.exp * 1000 - Date.now(), 0)) : null;
+
+    let isClosed = false;
+    let closeStream = () => {
+        if (isClosed) return;
+        isClosed = true;
+        clearInterval(keepAliveId);
+        clearTimeout(sessionExpiryId);
+        fileSystem.off('pageEvent', sendEvent);
+        res.end();
+    };
+
+    fileSystem.on('pageEvent', sendEvent);
+    req.on('close', closeStream);
+}
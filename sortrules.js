@@ -0,0 +1,280 @@
+/*
+Sort rules let admins map invoices to a directory automatically, either by matching a regex against the invoice's file name
+or against the text extracted from the invoice. Rules are checked in order of priority, and the first matching rule is used.
+
+Rule templates can reference the regex's capture groups with $1 or $<name>, along with {invoiceYear} (the year suggested from the invoice's text),
+{modifiedYear} (the year the file was last modified) and {currentYear}.
+
+Patterns are limited in length and stopped if they take too long to match, and text rules only check the start of very long invoices,
+so that a badly written pattern can not stall the server.
+
+Expected table, created by migrations/0005_create_sort_rules.up.sql:
+    CREATE TABLE sort_rules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        page_name VARCHAR(255) NOT NULL,
+        rule_name VARCHAR(255) NOT NULL,
+        match_type ENUM('filename', 'text') NOT NULL,
+        pattern VARCHAR(1024) NOT NULL,
+        directory_folder_path VARCHAR(1024) NOT NULL,
+        year_expression VARCHAR(255) NOT NULL,
+        priority INT NOT NULL DEFAULT 0,
+        is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        created_by INT NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+*/
+import vm from 'vm';
+
+const ruleTemplatePattern = /\$(\d+)|\$<([A-Za-z_]\w*)>|\{(invoiceYear|modifiedYear|currentYear)\}/g;
+
+//* Max length of a rule's pattern.
+const maxPatternLength = 512;
+//* Max number of characters of an invoice's text that text rules are matched against, which covers the first few pages of most invoices.
+const maxMatchInputLength = 20000;
+//* How long a single pattern can take to match before it is stopped, since a badly written pattern can backtrack for hours on a short input.
+const patternMatchTimeout = 100;
+//* Patterns are run within their own context so that the run can be stopped once it times out.
+const patternMatchContext = vm.createContext({});
+const patternMatchScript = new vm.Script('matchInput.match(matchPattern)');
+
+/**
+* @function Compiles a rule's pattern into a case insensitive regex.
+* @param {string} pattern - The rule's regex source.
+* @returns The compiled regex, otherwise an error is thrown if the pattern is invalid.
+*/
+export function compileRulePattern(pattern) {
+    if (pattern.length > maxPatternLength) throw new Error(`Patterns can be at most ${maxPatternLength} characters.`);
+    return new RegExp(pattern, 'i');
+}
+
+/**
+* @function Matches a compiled rule pattern against an invoice's name or text, only checking the start of very long text.
+* @param {RegExp} pattern - The compiled pattern.
+* @param {string} matchInput - The invoice's name or text.
+* @returns The regex match, or null if the pattern did not match, otherwise an error is thrown if the pattern took too long to match.
+*/
+export function matchRulePattern(pattern, matchInput) {
+    patternMatchContext.matchPattern = pattern;
+    patternMatchContext.matchInput = matchInput.slice(0, maxMatchInputLength);
+    try {
+        return patternMatchScript.runInContext(patternMatchContext, {timeout: patternMatchTimeout});
+    } catch (error) {
+        if (error.code == 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw new Error(`Pattern ${pattern.source} took longer than ${patternMatchTimeout}ms to match.`, {cause: 'patternTimeout'});
+        throw error;
+    } finally {
+        patternMatchContext.matchPattern = null;
+        patternMatchContext.matchInput = null;
+    }
+}
+
+/**
+* @function Fills in a rule template using the regex match and the invoice's context values.
+* @param {string} template - The rule's directoryFolderPath or yearExpression.
+* @param {Array} match - The regex match of the rule's pattern.
+* @param {object} templateContext - Object containing the invoiceYear, modifiedYear and currentYear values.
+* @returns The expanded template string.
+*/
+export function expandRuleTemplate(template, match, templateContext) {
+    return template.replace(ruleTemplatePattern, (_, groupIndex, groupName, contextName) => {
+        if (groupIndex) return match[+groupIndex] ?? '';
+        if (groupName) return match.groups?.[groupName] ?? '';
+        return templateContext[contextName] ?? '';
+    }).trim();
+}
+
+/**
+* @function Determines if a template references the year suggested from the invoice's text, which requires reading the invoice.
+* @param {string} template - The rule template.
+* @returns {boolean} True if the template uses {invoiceYear}.
+*/
+export function usesInvoiceYear(template) {
+    return template.includes('{invoiceYear}');
+}
+
+/**
+* @function Converts a database row into a rule object.
+* @param {object} ruleRow - A row from the sort_rules table.
+* @returns The rule object.
+*/
+function toSortRule(ruleRow) {
+    return {
+        ruleID: ruleRow.id,
+        ruleName: ruleRow.rule_name,
+        matchType: ruleRow.match_type,
+        pattern: ruleRow.pattern,
+        directoryFolderPath: ruleRow.directory_folder_path,
+        yearExpression: ruleRow.year_expression,
+        priority: ruleRow.priority,
+        isEnabled: !!ruleRow.is_enabled
+    };
+}
+
+/**
+* @function Retrieves the rules defined for a page, ordered by priority.
+* @param {Connection} db - Database connection attached to the request by the loadDB middleware.
+* @param {string} pageName - The page the rules belong to.
+* @param {boolean} enabledOnly - If true, disabled rules are left out.
+* @returns An array of rule objects.
+*/
+export async function getSortRules(db, pageName, enabledOnly = false) {
+    const [ruleRows] = await db.query(
+        `SELECT * FROM sort_rules
+        WHERE page_name = :pageName ${enabledOnly ? 'AND is_enabled = TRUE' : ''}
+        ORDER BY priority DESC, id`,
+        { pageName }
+    );
+
+    return ruleRows.map(toSortRule);
+}
+
+/**
+* @function Validates the rule fields sent in a request's body.
+* @param {object} ruleFields - The request's body.
+* @returns A message describing the first invalid field, or null if every field is valid.
+*/
+function getRuleFieldsError({ ruleName, matchType, pattern, directoryFolderPath, yearExpression, priority, isEnabled }) {
+    if (typeof ruleName != 'string' || !ruleName.trim()) return 'Provide a ruleName!';
+    if (matchType != 'filename' && matchType != 'text') return "matchType must be either 'filename' or 'text'!";
+    if (typeof pattern != 'string' || !pattern) return 'Provide a pattern!';
+    try {
+        compileRulePattern(pattern);
+    } catch (error) {
+        return `Invalid pattern!\n ${error.message}`;
+    }
+    if (typeof directoryFolderPath != 'string' || directoryFolderPath.split('/').length != 2) return 'directoryFolderPath must be in the form of letter/directory!';
+    if (typeof yearExpression != 'string' || !yearExpression.trim()) return 'Provide a yearExpression!';
+    if (priority !== undefined && !Number.isInteger(priority)) return 'priority must be an integer!';
+    if (isEnabled !== undefined && typeof isEnabled != 'boolean') return 'isEnabled must be a boolean!';
+    return null;
+}
+
+/**
+* @function Lists every sort rule defined for the requested page. Should run after authorizeUser('admin').
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export async function listSortRules(req, res, next) {
+    try {
+        const rules = await getSortRules(req.db, req.params.page);
+
+        res.status(200).json({rules});
+    } catch (error) {
+        // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+        console.log(error);
+        res.status(500).json(`Failed to list sort rules!\n ${error.message}`);
+    }
+}
+
+/**
+* @function Creates a sort rule for the requested page. Should run after authorizeUser('admin').
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export async function createSortRule(req, res, next) {
+    try {
+        const ruleFieldsError = getRuleFieldsError(req.body);
+        if (ruleFieldsError) {
+            res.status(400).json(ruleFieldsError);
+            return;
+        }
+
+        const { ruleName, matchType, pattern, directoryFolderPath, yearExpression, priority = 0, isEnabled = true } = req.body;
+        const [rule] = await req.db.query(
+            `INSERT INTO sort_rules (page_name, rule_name, match_type, pattern, directory_folder_path, year_expression, priority, is_enabled, created_by)
+            VALUES (:pageName, :ruleName, :matchType, :pattern, :directoryFolderPath, :yearExpression, :priority, :isEnabled, :createdBy)`,
+            {
+                pageName: req.params.page,
+                ruleName,
+                matchType,
+                pattern,
+                directoryFolderPath,
+                yearExpression,
+                priority,
+                isEnabled,
+                createdBy: req.user.userID
+            }
+        );
+
+        res.status(200).json({ruleID: rule.insertId, success: true, message: `Sort rule ${ruleName} successfully created.`});
+    } catch (error) {
+        // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+        console.log(error);
+        res.status(500).json(`Failed to create sort rule!\n ${error.message}`);
+    }
+}
+
+/**
+* @function Replaces the fields of an existing sort rule on the requested page. Should run after authorizeUser('admin').
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export async function updateSortRule(req, res, next) {
+    try {
+        const ruleFieldsError = getRuleFieldsError(req.body);
+        if (ruleFieldsError) {
+            res.status(400).json(ruleFieldsError);
+            return;
+        }
+
+        const { ruleName, matchType, pattern, directoryFolderPath, yearExpression, priority = 0, isEnabled = true } = req.body;
+        const [updateResult] = await req.db.query(
+            `UPDATE sort_rules
+            SET rule_name = :ruleName, match_type = :matchType, pattern = :pattern, directory_folder_path = :directoryFolderPath,
+                year_expression = :yearExpression, priority = :priority, is_enabled = :isEnabled
+            WHERE id = :ruleID AND page_name = :pageName`,
+            {
+                ruleID: req.params.ruleID,
+                pageName: req.params.page,
+                ruleName,
+                matchType,
+                pattern,
+                directoryFolderPath,
+                yearExpression,
+                priority,
+                isEnabled
+            }
+        );
+        if (!updateResult.affectedRows) {
+            res.status(404).json("Sort rule not found!");
+            return;
+        }
+
+        res.status(200).json({success: true, message: `Sort rule ${ruleName} successfully updated.`});
+    } catch (error) {
+        // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+        console.log(error);
+        res.status(500).json(`Failed to update sort rule!\n ${error.message}`);
+    }
+}
+
+/**
+* @function Deletes a sort rule from the requested page. Should run after authorizeUser('admin').
+* @param {Request} req - Request object containing information from the http request.
+* @param {Response} res - Response object that will be populated with data and sent in response to the http request.
+* @param {NextFunction} next - Triggers the next middleware event to occur before ending the current process.
+* @returns {void}
+*/
+export async function deleteSortRule(req, res, next) {
+    try {
+        const [deleteResult] = await req.db.query(
+            `DELETE FROM sort_rules WHERE id = :ruleID AND page_name = :pageName`,
+            { ruleID: req.params.ruleID, pageName: req.params.page }
+        );
+        if (!deleteResult.affectedRows) {
+            res.status(404).json("Sort rule not found!");
+            return;
+        }
+
+        res.status(200).json({success: true, message: `Sort rule ${req.params.ruleID} successfully deleted.`});
+    } catch (error) {
+        // Logs any error to the console and sends a 500 status to indicate an error on the server's end.
+        console.log(error);
+        res.status(500).json(`Failed to delete sort rule!\n ${error.message}`);
+    }
+}
@@ -0,0 +1,515 @@
+/*
+Storage drivers perform every file operation the FileSystem class needs, so that a page's invoices can be kept on a local or network drive,
+or within an S3 compatible object store, while keeping the same letter/customer/year layout.
+
+Every driver exposes the same async methods, each taking absolute paths built by the FileSystem class:
+    exists, stat, readdir, mkdir, rmdir, rm, copyFile, rename, moveFile, readFile, writeFile, createReadStream, copyFromLocal, watch and sendFile.
+Errors use the same codes as the fs module, such as ENOENT, EEXIST and ENOTEMPTY, so callers can handle every driver the same way.
+
+A page selects its driver with the storage key of its settings within the paths settings file, defaulting to the local driver:
+    "storage": {"driver": "s3", "bucket": "invoices", "endpoint": "http://localhost:9000", "region": "us-east-1", "forcePathStyle": true}
+The s3 driver's credentials are read from the accessKeyId and secretAccessKey settings if present, otherwise from the standard AWS environment variables.
+Pages using the s3 driver set their invoicesPath and directoriesPath to key prefixes written as absolute paths, such as "/inbox" and "/archive".
+See the S3 storage section of the README for setting up a MinIO server to test the s3 driver against.
+*/
+import * as fs from 'fs/promises';
+import { constants as fsConstants, createReadStream, watch } from 'fs';
+import * as path from 'path';
+import { hashStream } from './contenthashindex.js';
+import {
+    S3Client, HeadObjectCommand, ListObjectsV2Command, PutObjectCommand, DeleteObjectCommand, CopyObjectCommand, GetObjectCommand
+} from '@aws-sdk/client-s3';
+
+//* Settings each driver accepts within a page's storage object, mapped to a function that checks each setting's value.
+const storageSettingValidators = {
+    local: {},
+    s3: {
+        bucket: value => typeof value == 'string' && value.length > 0,
+        endpoint: value => typeof value == 'string' && /^https?:\/\//.test(value),
+        region: value => typeof value == 'string' && value.length > 0,
+        forcePathStyle: value => typeof value == 'boolean',
+        accessKeyId: value => typeof value == 'string',
+        secretAccessKey: value => typeof value == 'string'
+    }
+};
+
+/**
+* @function Checks that a page's storage settings select a known driver and only contain valid settings for it.
+* @param {string} pageName - Name of the page, used in the error messages.
+* @param {object} storageSettings - The page's storage object, which may be undefined to use the local driver.
+* @returns An array of strings describing every problem found, which is empty if the settings are valid.
+*/
+export function getStorageSettingsErrors(pageName, storageSettings) {
+    if (storageSettings === undefined) return [];
+    if (!storageSettings || typeof storageSettings != 'object' || Array.isArray(storageSettings)) return [`Page ${pageName} storage must be an object.`];
+
+    let { driver = 'local', ...driverSettings } = storageSettings;
+    let settingValidators = storageSettingValidators[driver];
+    if (!settingValidators) return [`Page ${pageName} has an unknown storage driver ${driver}.`];
+
+    let settingsErrors = [];
+    for (const [settingName, settingValue] of Object.entries(driverSettings)) {
+        if (!settingValidators[settingName]) settingsErrors.push(`Page ${pageName} has an unknown ${driver} storage setting ${settingName}.`);
+        else if (!settingValidators[settingName](settingValue)) settingsErrors.push(`Page ${pageName} has an invalid value for ${driver} storage setting ${settingName}.`);
+    }
+    if (driver == 's3' && !driverSettings.bucket) settingsErrors.push(`Page ${pageName} must set a bucket for the s3 storage driver.`);
+
+    return settingsErrors;
+}
+
+/**
+* @function Constructs the storage driver selected by a page's storage settings.
+* @param {object} storageSettings - The page's storage object, which may be undefined to use the local driver.
+* @returns The storage driver.
+*/
+export function createStorageDriver(storageSettings = {}) {
+    let { driver = 'local', ...driverSettings } = storageSettings;
+    if (driver == 's3') return new S3StorageDriver(driverSettings);
+    return new LocalStorageDriver();
+}
+
+/**
+* @function Creates an error with the same code the fs module would use for the same problem.
+* @param {string} code - The error code, such as ENOENT.
+* @param {string} message - Description of the error.
+* @returns The error.
+*/
+function createStorageError(code, message) {
+    return Object.assign(new Error(`${code}: ${message}`), {code});
+}
+
+//* Error codes returned by file systems that do not support hard links, such as some network shares.
+const linkUnsupportedCodes = ['EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'ENOSYS'];
+
+export class LocalStorageDriver {
+    get name() {
+        return 'local';
+    }
+
+    async exists(targetPath) {
+        try {
+            await fs.access(targetPath);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    stat(targetPath) {
+        return fs.stat(targetPath);
+    }
+
+    readdir(folderPath) {
+        return fs.readdir(folderPath, {withFileTypes: true});
+    }
+
+    mkdir(folderPath, options) {
+        return fs.mkdir(folderPath, options);
+    }
+
+    rmdir(folderPath) {
+        return fs.rmdir(folderPath);
+    }
+
+    rm(filePath, options) {
+        return fs.rm(filePath, options);
+    }
+
+    copyFile(sourcePath, destinationPath) {
+        return fs.copyFile(sourcePath, destinationPath);
+    }
+
+    rename(sourcePath, destinationPath) {
+        return fs.rename(sourcePath, destinationPath);
+    }
+
+    /**
+    * @method Gives a file a new path without ever replacing a file that already exists there.
+    * A hard link fails if its path is taken, unlike rename which silently replaces the file, so the file is linked to its new path and then unlinked from its old one.
+    * @param {string} sourcePath - The file's current path.
+    * @param {string} destinationPath - The file's new path, which must be on the same device.
+    * @returns {void}
+    */
+    async _placeFile(sourcePath, destinationPath) {
+        try {
+            await fs.link(sourcePath, destinationPath);
+        } catch (error) {
+            //! Linking a folder fails with EPERM as well, which must not fall back to renaming the whole folder.
+            if (!linkUnsupportedCodes.includes(error.code) || (await fs.stat(sourcePath)).isDirectory()) throw error;
+            //! Without hard links the destination is checked and then renamed over, which is still atomic but leaves a brief window where another file could take the name.
+            if (await this.exists(destinationPath)) throw createStorageError('EEXIST', `${destinationPath} already exists.`);
+            await fs.rename(sourcePath, destinationPath);
+            return;
+        }
+        await fs.unlink(sourcePath);
+    }
+
+    /**
+    * @method Moves a file so that it is always whole in at least one place, even if the process stops part way through.
+    * Files on the same device are moved atomically. Files on another device are copied to a temporary file beside the destination, flushed to disk,
+    * compared against the original by checksum, and only then moved into place before the original is removed.
+    * @param {string} sourcePath - The file's current path.
+    * @param {string} destinationPath - The file's new path, which must not already exist.
+    * @param {string} tempPath - Path the copy is written to when moving across devices, which should be hidden within the destination's folder.
+    * @returns {void}
+    */
+    async moveFile(sourcePath, destinationPath, tempPath) {
+        try {
+            await this._placeFile(sourcePath, destinationPath);
+            return;
+        } catch (error) {
+            if (error.code != 'EXDEV') throw error;
+        }
+
+        try {
+            await fs.copyFile(sourcePath, tempPath, fsConstants.COPYFILE_EXCL);
+            let tempFileHandle = await fs.open(tempPath, 'r+');
+            try {
+                await tempFileHandle.sync();
+            } finally {
+                await tempFileHandle.close();
+            }
+
+            let [sourceHash, copyHash] = await Promise.all([hashStream(createReadStream(sourcePath)), hashStream(createReadStream(tempPath))]);
+            if (sourceHash != copyHash) throw createStorageError('EIO', `The copy of ${sourcePath} does not match the original.`);
+
+            await this._placeFile(tempPath, destinationPath);
+        } catch (error) {
+            await fs.rm(tempPath, {force: true});
+            throw error;
+        }
+        await fs.unlink(sourcePath);
+    }
+
+    readFile(filePath) {
+        return fs.readFile(filePath);
+    }
+
+    /**
+    * @method Writes a file and flushes it to disk before returning, so that it survives the process or machine stopping right after.
+    * @param {string} filePath - Path to the file.
+    * @param {string|Buffer} data - The file's content.
+    * @returns {void}
+    */
+    async writeFile(filePath, data) {
+        let fileHandle = await fs.open(filePath, 'w');
+        try {
+            await fileHandle.writeFile(data);
+            await fileHandle.sync();
+        } finally {
+            await fileHandle.close();
+        }
+    }
+
+    async createReadStream(filePath, options) {
+        return createReadStream(filePath, options);
+    }
+
+    copyFromLocal(localPath, destinationPath) {
+        return fs.copyFile(localPath, destinationPath);
+    }
+
+    watch(folderPath, listener) {
+        return watch(folderPath, listener);
+    }
+
+    /**
+    * @method Streams a file in response to a request, handling the Content-Type, Content-Length, ETag and Range headers.
+    * @param {Request} req - Request object of the http request.
+    * @param {Response} res - Response object the file is streamed to.
+    * @param {string} filePath - Absolute path to the file.
+    * @param {function} callback - Called once the file has been sent, or with an error if it failed.
+    * @returns {void}
+    */
+    sendFile(req, res, filePath, callback) {
+        res.sendFile(filePath, {acceptRanges: true, etag: true, lastModified: true}, callback);
+    }
+}
+
+//* Folders do not exist within object storage, so an empty object whose key ends with a slash marks each folder the api creates,
+//* and any key sharing a folder's prefix also counts as the folder existing.
+export class S3StorageDriver {
+    constructor({ bucket, endpoint, region = 'us-east-1', forcePathStyle = true, accessKeyId, secretAccessKey }) {
+        this._bucket = bucket;
+        this._client = new S3Client({
+            region,
+            endpoint,
+            //* Path style urls are needed by most self hosted stores, such as MinIO.
+            forcePathStyle,
+            //! Checksums are only sent when an operation requires them, since many s3 compatible stores do not support the checksum trailers sent with streamed uploads.
+            requestChecksumCalculation: 'WHEN_REQUIRED',
+            responseChecksumValidation: 'WHEN_REQUIRED',
+            credentials: accessKeyId ? {accessKeyId, secretAccessKey} : undefined
+        });
+    }
+
+    get name() {
+        return 's3';
+    }
+
+    _toKey(targetPath) {
+        return targetPath.split(path.sep).join('/').replace(/^([A-Za-z]:)?\/+/, '').replace(/\/+$/, '');
+    }
+
+    _toPrefix(folderPath) {
+        let key = this._toKey(folderPath);
+        return key ? `${key}/` : '';
+    }
+
+    _isNotFound(error) {
+        return error.name == 'NotFound' || error.name == 'NoSuchKey' || error.$metadata?.httpStatusCode == 404;
+    }
+
+    async _headObject(key) {
+        try {
+            return await this._client.send(new HeadObjectCommand({Bucket: this._bucket, Key: key}));
+        } catch (error) {
+            if (this._isNotFound(error)) return null;
+            throw error;
+        }
+    }
+
+    /**
+    * @method Lists every object under a prefix, following continuation tokens until the listing is complete.
+    * @param {string} prefix - The key prefix to list.
+    * @param {string} delimiter - If set, keys are grouped into common prefixes at the delimiter instead of being listed individually.
+    * @param {number} maxKeys - If set, the listing stops after this many keys.
+    * @returns an object containing the listed objects and common prefixes.
+    */
+    async _listObjects(prefix, delimiter, maxKeys) {
+        let listedObjects = [];
+        let commonPrefixes = [];
+        let continuationToken;
+        do {
+            let listResult = await this._client.send(new ListObjectsV2Command({
+                Bucket: this._bucket,
+                Prefix: prefix,
+                Delimiter: delimiter,
+                MaxKeys: maxKeys,
+                ContinuationToken: continuationToken
+            }));
+            listedObjects.push(...(listResult.Contents ?? []));
+            commonPrefixes.push(...(listResult.CommonPrefixes ?? []).map(commonPrefix => commonPrefix.Prefix));
+            continuationToken = maxKeys ? null : listResult.NextContinuationToken;
+        } while (continuationToken);
+
+        return {listedObjects, commonPrefixes};
+    }
+
+    async exists(targetPath) {
+        if (await this._headObject(this._toKey(targetPath))) return true;
+        return (await this._listObjects(this._toPrefix(targetPath), undefined, 1)).listedObjects.length > 0;
+    }
+
+    async stat(targetPath) {
+        let fileHead = await this._headObject(this._toKey(targetPath));
+        if (fileHead) {
+            return {
+                isFile: () => true,
+                isDirectory: () => false,
+                size: fileHead.ContentLength,
+                mtime: fileHead.LastModified,
+                mtimeMs: fileHead.LastModified.getTime()
+            };
+        }
+
+        let { listedObjects } = await this._listObjects(this._toPrefix(targetPath), undefined, 1);
+        if (!listedObjects.length) throw createStorageError('ENOENT', `${targetPath} does not exist.`);
+        //* A folder's modified time is taken from its marker when it has one.
+        let folderMarker = listedObjects[0].Key == this._toPrefix(targetPath) ? listedObjects[0] : null;
+        let mtime = folderMarker?.LastModified ?? new Date(0);
+        return {isFile: () => false, isDirectory: () => true, size: 0, mtime, mtimeMs: mtime.getTime()};
+    }
+
+    async readdir(folderPath) {
+        let prefix = this._toPrefix(folderPath);
+        let { listedObjects, commonPrefixes } = await this._listObjects(prefix, '/');
+        if (!listedObjects.length && !commonPrefixes.length && prefix) throw createStorageError('ENOENT', `${folderPath} does not exist.`);
+
+        let folderEntries = commonPrefixes.map(commonPrefix => ({name: commonPrefix.slice(prefix.length, -1), isFile: () => false, isDirectory: () => true}));
+        let fileEntries = listedObjects
+            .filter(listedObject => listedObject.Key != prefix)
+            .map(listedObject => ({name: listedObject.Key.slice(prefix.length), isFile: () => true, isDirectory: () => false}));
+        return [...folderEntries, ...fileEntries];
+    }
+
+    async mkdir(folderPath, options = {}) {
+        if (await this.exists(folderPath)) {
+            if (options.recursive) return;
+            throw createStorageError('EEXIST', `${folderPath} already exists.`);
+        }
+        await this._client.send(new PutObjectCommand({Bucket: this._bucket, Key: this._toPrefix(folderPath), Body: Buffer.alloc(0), ContentLength: 0}));
+    }
+
+    async rmdir(folderPath) {
+        let prefix = this._toPrefix(folderPath);
+        let { listedObjects } = await this._listObjects(prefix, undefined, 2);
+        //* A folder without a marker only exists while it holds objects, so once it is empty there is nothing left to remove.
+        if (!listedObjects.length) return;
+        if (listedObjects.some(listedObject => listedObject.Key != prefix)) throw createStorageError('ENOTEMPTY', `${folderPath} is not empty.`);
+
+        await this._client.send(new DeleteObjectCommand({Bucket: this._bucket, Key: prefix}));
+    }
+
+    async rm(filePath, options = {}) {
+        let key = this._toKey(filePath);
+        if (!options.force && !(await this._headObject(key))) throw createStorageError('ENOENT', `${filePath} does not exist.`);
+        await this._client.send(new DeleteObjectCommand({Bucket: this._bucket, Key: key}));
+    }
+
+    async _copyObject(sourceKey, destinationKey) {
+        await this._client.send(new CopyObjectCommand({
+            Bucket: this._bucket,
+            CopySource: `${this._bucket}/${sourceKey.split('/').map(encodeURIComponent).join('/')}`,
+            Key: destinationKey
+        }));
+    }
+
+    async copyFile(sourcePath, destinationPath) {
+        let sourceKey = this._toKey(sourcePath);
+        if (!(await this._headObject(sourceKey))) throw createStorageError('ENOENT', `${sourcePath} does not exist.`);
+        await this._copyObject(sourceKey, this._toKey(destinationPath));
+    }
+
+    /**
+    * @method Moves a file, or every object within a folder, to a new path.
+    * Object storage can not rename in place, so each object is copied and then deleted, which is not atomic for folders.
+    * Moving a folder again after an interrupted move finishes it, since objects already copied are copied again and the rest of the source is then deleted.
+    * @param {string} sourcePath - The current path.
+    * @param {string} destinationPath - The new path.
+    * @returns {void}
+    */
+    async rename(sourcePath, destinationPath) {
+        let sourceKey = this._toKey(sourcePath);
+        if (await this._headObject(sourceKey)) {
+            await this._copyObject(sourceKey, this._toKey(destinationPath));
+            await this._client.send(new DeleteObjectCommand({Bucket: this._bucket, Key: sourceKey}));
+            return;
+        }
+
+        let sourcePrefix = this._toPrefix(sourcePath);
+        let destinationPrefix = this._toPrefix(destinationPath);
+        let { listedObjects } = await this._listObjects(sourcePrefix);
+        if (!listedObjects.length) throw createStorageError('ENOENT', `${sourcePath} does not exist.`);
+
+        //! Every object is copied before any are deleted, so a failure part way through leaves the folder whole at its original path.
+        for (const listedObject of listedObjects) await this._copyObject(listedObject.Key, `${destinationPrefix}${listedObject.Key.slice(sourcePrefix.length)}`);
+        for (const listedObject of listedObjects) await this._client.send(new DeleteObjectCommand({Bucket: this._bucket, Key: listedObject.Key}));
+    }
+
+    /**
+    * @method Moves a file by copying it within the bucket, confirming the copy matches the original, and only then deleting the original.
+    * Each copy is atomic within object storage, so the file is always whole in at least one place even if the process stops part way through.
+    * @param {string} sourcePath - The file's current path.
+    * @param {string} destinationPath - The file's new path, which must not already exist.
+    * @returns {void}
+    */
+    async moveFile(sourcePath, destinationPath) {
+        let sourceKey = this._toKey(sourcePath);
+        let destinationKey = this._toKey(destinationPath);
+        let sourceHead = await this._headObject(sourceKey);
+        if (!sourceHead) throw createStorageError('ENOENT', `${sourcePath} does not exist.`);
+        //! Copies can not be made conditional on the destination being free, so another file could still take the name between this check and the copy.
+        if (await this._headObject(destinationKey)) throw createStorageError('EEXIST', `${destinationPath} already exists.`);
+
+        await this._copyObject(sourceKey, destinationKey);
+
+        let destinationHead = await this._headObject(destinationKey);
+        let isCopyVerified = destinationHead?.ContentLength == sourceHead.ContentLength;
+        //* ETags are content hashes, except for objects uploaded in parts whose ETags contain a dash, in which case the content itself is hashed.
+        if (isCopyVerified && (sourceHead.ETag.includes('-') || destinationHead.ETag.includes('-'))) {
+            let [sourceHash, copyHash] = await Promise.all([hashStream(await this.createReadStream(sourcePath)), hashStream(await this.createReadStream(destinationPath))]);
+            isCopyVerified = sourceHash == copyHash;
+        } else if (isCopyVerified) {
+            isCopyVerified = sourceHead.ETag == destinationHead.ETag;
+        }
+        if (!isCopyVerified) {
+            await this._client.send(new DeleteObjectCommand({Bucket: this._bucket, Key: destinationKey}));
+            throw createStorageError('EIO', `The copy of ${sourcePath} does not match the original.`);
+        }
+
+        await this._client.send(new DeleteObjectCommand({Bucket: this._bucket, Key: sourceKey}));
+    }
+
+    async readFile(filePath) {
+        let { Body } = await this._client.send(new GetObjectCommand({Bucket: this._bucket, Key: this._toKey(filePath)}));
+        return Buffer.from(await Body.transformToByteArray());
+    }
+
+    async writeFile(filePath, data) {
+        let body = Buffer.from(data);
+        await this._client.send(new PutObjectCommand({Bucket: this._bucket, Key: this._toKey(filePath), Body: body, ContentLength: body.length}));
+    }
+
+    async createReadStream(filePath, options = {}) {
+        let range = options.start !== undefined || options.end !== undefined ? `bytes=${options.start ?? 0}-${options.end ?? ''}` : undefined;
+        let { Body } = await this._client.send(new GetObjectCommand({Bucket: this._bucket, Key: this._toKey(filePath), Range: range}));
+        return Body;
+    }
+
+    async copyFromLocal(localPath, destinationPath) {
+        await this._client.send(new PutObjectCommand({
+            Bucket: this._bucket,
+            Key: this._toKey(destinationPath),
+            Body: createReadStream(localPath),
+            ContentLength: (await fs.stat(localPath)).size
+        }));
+    }
+
+    watch() {
+        //* Callers fall back to periodic rescans when watching is not supported.
+        throw createStorageError('ENOSYS', 'The s3 storage driver does not support watching for changes.');
+    }
+
+    /**
+    * @method Streams an object in response to a request, handling the Content-Type, Content-Length, ETag and Range headers like express's sendFile.
+    * @param {Request} req - Request object of the http request.
+    * @param {Response} res - Response object the file is streamed to.
+    * @param {string} filePath - Absolute path to the file.
+    * @param {function} callback - Called once the file has been sent, or with an error if it failed.
+    * @returns {void}
+    */
+    async sendFile(req, res, filePath, callback) {
+        try {
+            let fileHead = await this._headObject(this._toKey(filePath));
+            if (!fileHead) throw createStorageError('ENOENT', `${filePath} does not exist.`);
+
+            let fileSize = fileHead.ContentLength;
+            //* A Content-Type already set by the caller is kept, like express's sendFile does.
+            if (!res.get('Content-Type')) res.type(path.extname(filePath) || 'application/octet-stream');
+            res.set({'Accept-Ranges': 'bytes', 'ETag': fileHead.ETag, 'Last-Modified': fileHead.LastModified.toUTCString()});
+            if (req.fresh) {
+                res.status(304).end();
+                callback();
+                return;
+            }
+
+            //? Only single byte ranges are served partially, any other range header is answered with the whole file like sendFile does.
+            let requestedRanges = req.range(fileSize);
+            if (requestedRanges == -1) {
+                res.status(416).set('Content-Range', `bytes */${fileSize}`).end();
+                callback();
+                return;
+            }
+            let start = 0;
+            let end = fileSize - 1;
+            if (Array.isArray(requestedRanges) && requestedRanges.type == 'bytes' && requestedRanges.length == 1) {
+                ({ start, end } = requestedRanges[0]);
+                res.status(206).set('Content-Range', `bytes ${start}-${end}/${fileSize}`);
+            }
+            res.set('Content-Length', `${fileSize ? end - start + 1 : 0}`);
+
+            if (req.method == 'HEAD' || !fileSize) {
+                res.end();
+                callback();
+                return;
+            }
+
+            let fileStream = await this.createReadStream(filePath, {start, end});
+            fileStream.on('error', callback);
+            fileStream.pipe(res).on('finish', () => callback());
+        } catch (error) {
+            callback(error);
+        }
+    }
+}